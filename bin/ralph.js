@@ -17,7 +17,63 @@ import { homedir } from "os";
 import chalk from "chalk";
 import inquirer from "inquirer";
 import ora from "ora";
-import { execSync, spawn } from "child_process";
+import { execSync, execFileSync, spawn } from "child_process";
+import {
+  getAgent,
+  hasAgent,
+  listAgents,
+  isBuiltinAgent,
+  loadAgentAdapters,
+  getPromptFile,
+  buildAgentCommand,
+} from "../lib/agents.js";
+import { runLoop, formatElapsed, usesStoryBranches } from "../lib/loop.js";
+import { runParallelLoop } from "../lib/parallel.js";
+import { serveHostRequests } from "../lib/host.js";
+import { restackStories } from "../lib/restack.js";
+import {
+  DEFAULT_BRANCH_TEMPLATE,
+  validateBranchTemplate,
+} from "../lib/branches.js";
+import {
+  DEFAULT_MAX_ATTEMPTS_PER_STORY,
+  activatePrd,
+  syncActivePrd,
+} from "../lib/prd.js";
+import { DEFAULT_STALL_CONFIG, resolveStallConfig } from "../lib/stall.js";
+import { formatUsage } from "../lib/usage.js";
+import {
+  DEFAULT_BACKOFF_CONFIG,
+  DEFAULT_FALLBACK_AFTER_FAILURES,
+} from "../lib/failures.js";
+import { ROLES, getRole, validateRoles } from "../lib/roles.js";
+import {
+  validateConfig,
+  validatePrd,
+  validateJsonFile,
+} from "../lib/schema.js";
+import {
+  acquireLock,
+  getLockHolder,
+  describeLockHolder,
+  getLockPath,
+  writeJsonAtomic,
+} from "../lib/state.js";
+import { GRAPH_FORMATS, checkDependencies, renderGraph } from "../lib/graph.js";
+import {
+  createOutputParser,
+  parseAgentOutput,
+  formatEvent,
+} from "../lib/output.js";
+import {
+  listRuns,
+  readRun,
+  resolveRunId,
+  findResumableRun,
+  getLastCompletedIteration,
+  followRun,
+  getIterationDir,
+} from "../lib/runlog.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -30,33 +86,6 @@ const packageJson = JSON.parse(
 );
 const VERSION = packageJson.version;
 
-const AGENTS = {
-  claude: {
-    name: "Claude Code",
-    command: "claude",
-    authCheck: "claude --version",
-    authCommand: "claude",
-    dangerousFlag: "--dangerously-skip-permissions",
-    printFlag: "--print",
-  },
-  codex: {
-    name: "OpenAI Codex CLI",
-    command: "codex",
-    authCheck: "codex --version",
-    authCommand: "codex",
-    dangerousFlag: "--full-auto",
-    printFlag: "",
-  },
-  gemini: {
-    name: "Gemini CLI",
-    command: "gemini",
-    authCheck: "gemini --version",
-    authCommand: "gemini",
-    dangerousFlag: "-y",
-    printFlag: "",
-  },
-};
-
 // Gradient text helpers
 function hexToRgb(hex) {
   const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -127,23 +156,63 @@ function generateTicketPrefix(projectName) {
   return projectName.slice(0, 3).toUpperCase();
 }
 
-async function main() {
-  printBanner();
-  console.log(chalk.gray("  Autonomous AI Coding Agent Loop\n"));
+const AGENT_COMMANDS = [
+  "init",
+  "run",
+  "start",
+  "loop",
+  "doctor",
+  "review",
+  "compound",
+];
 
+async function main() {
   const args = process.argv.slice(2);
   const command = args[0];
 
+  // Exported graphs are meant to be piped, so keep stdout to the graph
+  const exportingGraph =
+    command === "prd" &&
+    args[1] === "graph" &&
+    (getFlagValue(args, "--format") || "ascii") !== "ascii";
+  if (!exportingGraph) {
+    printBanner();
+    console.log(chalk.gray("  Autonomous AI Coding Agent Loop\n"));
+  }
+
+  // Custom agents from .ralph/agents/*.js and config.agents, loaded only for
+  // commands that run or check agents so a broken adapter can't take down
+  // status, logs or help
+  const creatingPrd =
+    (command === "prd" && args[1] === "create") ||
+    (command === "create" && args[1] === "prd");
+  if (AGENT_COMMANDS.includes(command) || creatingPrd) {
+    try {
+      await loadAgentAdapters(join(process.cwd(), ".ralph"));
+    } catch (err) {
+      console.log(chalk.red(`Failed to load agent adapters: ${err.message}`));
+      process.exitCode = 1;
+      return;
+    }
+  }
+
   if (command === "init") {
     await initProject();
   } else if (command === "run" || command === "start") {
     await runRalph(args.slice(1));
+  } else if (command === "loop") {
+    // Internal: invoked by .ralph/ralph.sh inside the sandy sandbox
+    await runLoopCommand(args.slice(1));
   } else if (command === "status") {
     await showStatus();
+  } else if (command === "doctor") {
+    await runDoctor();
   } else if (command === "review") {
     await runReview(args.slice(1));
   } else if (command === "compound") {
     await runCompoundReview();
+  } else if (command === "logs") {
+    await showLogs(args.slice(1));
   } else if (command === "schedule") {
     await setupSchedule();
   } else if (command === "gh") {
@@ -154,8 +223,12 @@ async function main() {
       await ghImport(args[2]);
     } else if (subcommand === "sync") {
       await ghSync();
+    } else if (subcommand === "restack") {
+      await ghRestack();
     } else {
-      console.log(chalk.yellow("Usage: ralph gh [check|import <number>|sync]"));
+      console.log(
+        chalk.yellow("Usage: ralph gh [check|import <number>|sync|restack]"),
+      );
     }
   } else if (command === "prd" || (command === "create" && args[1] === "prd")) {
     // Support both "ralph prd create" and "ralph create prd"
@@ -168,9 +241,15 @@ async function main() {
       await prdList();
     } else if (subcommand === "use") {
       await prdUse(args[2]);
+    } else if (subcommand === "graph") {
+      await prdGraph(args.slice(2));
+    } else if (subcommand === "sync") {
+      await prdSync(args.slice(2));
     } else {
       console.log(
-        chalk.yellow("Usage: ralph prd [create|load <file>|list|use <name>]"),
+        chalk.yellow(
+          "Usage: ralph prd [create|load <file>|list|use <name>|graph|sync]",
+        ),
       );
     }
   } else if (
@@ -197,17 +276,25 @@ ${chalk.bold("Usage:")} ralph [command] [options]
 ${chalk.bold("Commands:")}
   ${chalk.cyan("init")}              Initialize Ralph mode in current project
   ${chalk.cyan("run")} [iterations]  Start Ralph loop (default: 10 iterations)
+  ${chalk.cyan("run --resume")}      Continue the last interrupted run
+  ${chalk.cyan("run --timeout")} <m> Stop the run after m minutes
+  ${chalk.cyan("run --parallel")} <n> Work on n independent stories at once
   ${chalk.cyan("status")}            Show current PRD and progress status
+  ${chalk.cyan("doctor")}            Check config, PRD, agents, sandy, gh and git
   ${chalk.cyan("review")}            Run review agent to verify completed work
   ${chalk.cyan("compound")}          Extract learnings from recent sessions
+  ${chalk.cyan("logs")} [run]        List past runs, or show a run's output
   ${chalk.cyan("schedule")}          Set up nightly automated runs (launchd)
   ${chalk.cyan("gh check")}          Check GitHub CLI authentication
   ${chalk.cyan("gh import")} <n>     Import GitHub issue as story
   ${chalk.cyan("gh sync")}           Import all open GitHub issues
-  ${chalk.cyan("prd create")}        Create PRD interactively (launches Claude)
+  ${chalk.cyan("gh restack")}        Move stacked story PRs onto the base their parent merged into
+  ${chalk.cyan("prd create")}        Create PRD interactively (launches an agent)
   ${chalk.cyan("prd load")} <file>   Load PRD from markdown file
   ${chalk.cyan("prd list")}          List all PRDs
   ${chalk.cyan("prd use")} <name>    Switch active PRD
+  ${chalk.cyan("prd graph")}         Show story dependencies (--format mermaid|dot)
+  ${chalk.cyan("prd sync")}          Save prd.json to the active PRD (--keep prd|stored)
   ${chalk.cyan("help")}              Show this help message
   ${chalk.cyan("version")}           Show version number
 
@@ -217,7 +304,11 @@ ${chalk.bold("Aliases:")}
 ${chalk.bold("Examples:")}
   ralph init          # Set up Ralph in your project
   ralph run 50        # Run with max 50 iterations
+  ralph run --parallel 3   # Three agents, each in its own git worktree
   ralph compound      # Extract learnings from today's work
+  ralph logs latest --iteration 7   # Replay iteration 7 of the last run
+  ralph logs --follow # Tail the active run from another terminal
+  ralph prd graph --format dot | dot -Tsvg > prd.svg
   ralph schedule      # Set up nightly runs
   ralph               # Auto-detect: init or run
   rw run              # Use the alias
@@ -256,65 +347,60 @@ async function initProject() {
         },
         { name: `${chalk.green("Codex CLI")} - OpenAI's CLI`, value: "codex" },
         { name: `${chalk.blue("Gemini CLI")} - Google's CLI`, value: "gemini" },
+        ...listAgents()
+          .filter((a) => !isBuiltinAgent(a.id))
+          .map((a) => ({ name: `${a.name} - custom adapter`, value: a.id })),
       ],
     },
   ]);
 
   // Step 2: Check agent authentication
-  spinner.start(`Checking ${AGENTS[agent].name} installation...`);
+  const agentConfig = getAgent(agent);
+  spinner.start(`Checking ${agentConfig.name} installation...`);
 
   const isInstalled = checkAgentInstalled(agent);
   if (!isInstalled) {
-    spinner.fail(`${AGENTS[agent].name} not found`);
-    console.log(
-      chalk.yellow(`\nPlease install ${AGENTS[agent].name} first:\n`),
-    );
-    if (agent === "claude") {
-      console.log(
-        chalk.white("  curl -fsSL https://claude.ai/install.sh | bash"),
-      );
-      console.log(
-        chalk.gray("\n  Docs: https://code.claude.com/docs/en/quickstart"),
-      );
-    } else if (agent === "codex") {
-      console.log(chalk.white("  npm i -g @openai/codex"));
-      console.log(chalk.gray("  # or"));
-      console.log(chalk.white("  brew install --cask codex"));
-      console.log(
-        chalk.gray("\n  Docs: https://developers.openai.com/codex/quickstart/"),
-      );
-    } else {
-      console.log(chalk.white("  npm install -g @google/gemini-cli"));
-      console.log(
-        chalk.gray("\n  Docs: https://github.com/google-gemini/gemini-cli"),
-      );
+    spinner.fail(`${agentConfig.name} not found`);
+    console.log(chalk.yellow(`\nPlease install ${agentConfig.name} first:\n`));
+    for (const line of agentConfig.install) {
+      const color = line.startsWith("#") ? chalk.gray : chalk.white;
+      console.log(color(`  ${line}`));
+    }
+    if (agentConfig.docs) {
+      console.log(chalk.gray(`\n  Docs: ${agentConfig.docs}`));
     }
     console.log("");
     return;
   }
-  spinner.succeed(`${AGENTS[agent].name} installed`);
+  spinner.succeed(`${agentConfig.name} installed`);
 
   // Step 3: Check authentication
   spinner.start("Checking authentication...");
-  const isAuthed = await checkAgentAuth(agent);
+  const auth = await checkAgentAuth(agent);
 
-  if (!isAuthed) {
+  if (!auth.ok) {
     spinner.warn("Not authenticated");
+    printCheckedCredentials(auth);
     const { authenticate } = await inquirer.prompt([
       {
         type: "confirm",
         name: "authenticate",
-        message: `Would you like to authenticate ${AGENTS[agent].name} now?`,
+        message: `Would you like to authenticate ${agentConfig.name} now?`,
         default: true,
+        // Adapters without a command have nothing to launch
+        when: Boolean(agentConfig.authCommand),
       },
     ]);
+    if (!agentConfig.authCommand) {
+      console.log(chalk.yellow(`\n  Log in with: ${agentConfig.loginCommand}`));
+    }
 
     if (authenticate) {
       console.log(
-        chalk.cyan(`\nLaunching ${AGENTS[agent].name} for authentication...\n`),
+        chalk.cyan(`\nLaunching ${agentConfig.name} for authentication...\n`),
       );
       try {
-        execSync(AGENTS[agent].authCommand, { stdio: "inherit" });
+        execSync(agentConfig.authCommand, { stdio: "inherit" });
       } catch {
         console.log(
           chalk.yellow(
@@ -324,7 +410,7 @@ async function initProject() {
       }
     }
   } else {
-    spinner.succeed("Authenticated");
+    spinner.succeed(`Authenticated via ${auth.source}`);
   }
 
   // Step 4: Get PRD
@@ -450,6 +536,14 @@ async function initProject() {
   const config = {
     agent,
     maxIterations,
+    maxAttemptsPerStory: DEFAULT_MAX_ATTEMPTS_PER_STORY,
+    stall: DEFAULT_STALL_CONFIG,
+    iterationTimeoutMinutes: 60,
+    runTimeoutMinutes: 0,
+    budget: { maxTokens: 0, maxUsd: 0 },
+    backoff: DEFAULT_BACKOFF_CONFIG,
+    agentFallbacks: [],
+    fallbackAfterFailures: DEFAULT_FALLBACK_AFTER_FAILURES,
     createdAt: new Date().toISOString(),
     ticketPrefix,
     git: {
@@ -458,18 +552,21 @@ async function initProject() {
       usePRTemplate: true,
       waitForMerge: false,
       branchPrefix: "",
+      branchTemplate: DEFAULT_BRANCH_TEMPLATE,
       useXgit: checkXgitAvailable(),
     },
   };
-  writeFileSync(join(ralphDir, "config.json"), JSON.stringify(config, null, 2));
+  writeJsonAtomic(join(ralphDir, "config.json"), config);
 
   // Create ralph.sh
-  const ralphScript = generateRalphScript(agent, maxIterations);
+  const ralphScript = generateRalphScript(agent, maxIterations, agent, {
+    hostBridge: usesStoryBranches(config.git),
+  });
   writeFileSync(join(ralphDir, "ralph.sh"), ralphScript);
   chmodSync(join(ralphDir, "ralph.sh"), "755");
 
   // Create prompt file (pass config for git workflow instructions)
-  const promptFile = agent === "claude" ? "CLAUDE.md" : "prompt.md";
+  const promptFile = getPromptFile(agent);
   const promptContent = generatePrompt(agent, config);
   writeFileSync(join(ralphDir, promptFile), promptContent);
 
@@ -489,12 +586,9 @@ Started: ${new Date().toISOString()}
   // Create prd.json
   if (prdContent) {
     const prdJson = convertToPRDJson(prdContent, ticketPrefix);
-    writeFileSync(join(ralphDir, "prd.json"), JSON.stringify(prdJson, null, 2));
+    writeJsonAtomic(join(ralphDir, "prd.json"), prdJson);
   } else {
-    writeFileSync(
-      join(ralphDir, "prd.json"),
-      JSON.stringify(getEmptyPRD(ticketPrefix), null, 2),
-    );
+    writeJsonAtomic(join(ralphDir, "prd.json"), getEmptyPRD(ticketPrefix));
   }
 
   spinner.succeed("Ralph files created");
@@ -510,7 +604,7 @@ Started: ${new Date().toISOString()}
   // Step 8: Offer to start sandbox
   console.log("\n" + chalk.green.bold("Ralph initialized successfully!"));
   console.log(chalk.gray("\nFiles created:"));
-  console.log(chalk.gray(`  .ralph/ralph.sh      - Main loop script`));
+  console.log(chalk.gray(`  .ralph/ralph.sh      - Loop launcher (sandy)`));
   console.log(chalk.gray(`  .ralph/${promptFile}  - Prompt template`));
   console.log(chalk.gray(`  .ralph/progress.txt  - Progress tracking`));
   console.log(chalk.gray(`  .ralph/prd.json      - PRD tasks`));
@@ -543,28 +637,111 @@ async function runRalph(args) {
     return;
   }
 
+  // The loop takes the lock itself, inside sandy; catch a clash before that
+  const lockHolder = getLockHolder(ralphDir);
+  if (lockHolder) {
+    console.log(chalk.red(describeLockHolder(lockHolder, ralphDir)));
+    process.exitCode = 1;
+    return;
+  }
+
   // Load config
   const configPath = join(ralphDir, "config.json");
   const config = existsSync(configPath)
     ? JSON.parse(readFileSync(configPath, "utf-8"))
     : { agent: "claude", maxIterations: 30 };
 
-  const iterations = args[0] ? parseInt(args[0]) : config.maxIterations;
+  const configErrors = validateConfig(config);
+  if (configErrors.length > 0) {
+    console.log(chalk.red("Invalid config.json:"));
+    configErrors.forEach((e) => console.log(chalk.red(`  - ${e}`)));
+    console.log(chalk.gray("  Check everything with: ralph doctor"));
+    return;
+  }
+  try {
+    resolveStallConfig(config.stall);
+    validateRoles(config);
+    validateBranchTemplate(config.git?.branchTemplate);
+    (config.agentFallbacks || []).forEach((id) => getAgent(id));
+    getAgent(getRole(config, "coder").agent);
+  } catch (err) {
+    console.log(chalk.red(`Invalid config.json: ${err.message}`));
+    return;
+  }
+  const coder = getRole(config, "coder");
+  const agentConfig = getAgent(coder.agent);
+
+  const resumable = args.includes("--resume")
+    ? findResumableRun(ralphDir)
+    : null;
+  if (args.includes("--resume") && !resumable) {
+    console.log(chalk.yellow("No interrupted run to resume."));
+    console.log(chalk.gray("  Start a new run with: ralph run"));
+    return;
+  }
+
+  const iterations = resumable
+    ? resumable.maxIterations
+    : parseInt(getPositionalArg(args, ["--timeout", "--parallel"])) ||
+      config.maxIterations;
+  const runTimeoutMinutes =
+    parseFloat(getFlagValue(args, "--timeout")) || config.runTimeoutMinutes;
+  const parallel = resumable
+    ? resumable.parallel
+    : parseInt(getFlagValue(args, "--parallel")) || undefined;
 
-  console.log(chalk.cyan(`\nStarting Ralph with ${AGENTS[config.agent].name}`));
+  console.log(chalk.cyan(`\nStarting Ralph with ${agentConfig.name}`));
   console.log(chalk.gray(`Max iterations: ${iterations}`));
+  if (parallel > 1) {
+    console.log(chalk.gray(`Parallel workers: ${parallel}`));
+  }
+  if (runTimeoutMinutes) {
+    console.log(chalk.gray(`Run timeout: ${runTimeoutMinutes} minutes`));
+  }
+  if (resumable) {
+    console.log(
+      chalk.cyan(
+        `Resuming run ${resumable.id} from iteration ${getLastCompletedIteration(resumable) + 1}`,
+      ),
+    );
+    if (resumable.current?.storyId) {
+      console.log(
+        chalk.cyan(
+          `In-flight story: ${resumable.current.storyId} (review agent will check it first)`,
+        ),
+      );
+    }
+  }
   console.log(chalk.gray(`Working directory: ${process.cwd()}\n`));
 
   // Check PRD status
   const prdPath = join(ralphDir, "prd.json");
   if (existsSync(prdPath)) {
-    const prd = JSON.parse(readFileSync(prdPath, "utf-8"));
-    const total = prd.userStories?.length || 0;
-    const done = prd.userStories?.filter((s) => s.passes).length || 0;
+    const { value: prd, errors: prdErrors } = validateJsonFile(
+      prdPath,
+      validatePrd,
+    );
+    if (prdErrors.length > 0) {
+      console.log(chalk.red("Invalid prd.json:"));
+      prdErrors.forEach((e) => console.log(chalk.red(`  - ${e}`)));
+      console.log(chalk.gray("  Check everything with: ralph doctor"));
+      return;
+    }
+    const total = prd.userStories.length;
+    const done = prd.userStories.filter((s) => s.passes).length;
     console.log(
       chalk.yellow(`PRD Status: ${done}/${total} stories complete\n`),
     );
 
+    // A broken dependency graph means some stories can never run
+    const dependencies = checkDependencies(prd);
+    printDependencyProblems(dependencies);
+    if (dependencies.errors.length > 0) {
+      console.log(chalk.gray("\n  Fix dependsOn in .ralph/prd.json and retry"));
+      console.log(chalk.gray("  See the graph with: ralph prd graph\n"));
+      return;
+    }
+
     if (total > 0 && done === total) {
       console.log(chalk.green.bold("All stories already complete!"));
       const { continueAnyway } = await inquirer.prompt([
@@ -585,45 +762,47 @@ async function runRalph(args) {
 
   // Check agent auth before launching loop
   const spinner = ora();
-  spinner.start(`Checking ${AGENTS[config.agent].name} authentication...`);
-  const isAuthed = await checkAgentAuth(config.agent);
-  if (!isAuthed) {
-    spinner.fail(`${AGENTS[config.agent].name} not authenticated`);
+  spinner.start(`Checking ${agentConfig.name} authentication...`);
+  const auth = await checkAgentAuth(coder.agent);
+  if (!auth.ok) {
+    spinner.fail(`${agentConfig.name} not authenticated`);
+    printCheckedCredentials(auth);
     console.log(chalk.yellow(`\n  Please authenticate first:`));
-    if (config.agent === "claude") {
-      console.log(chalk.white("  claude /login"));
-    } else if (config.agent === "codex") {
-      console.log(chalk.white("  codex auth"));
-    } else {
-      console.log(chalk.white("  gemini auth"));
-    }
+    console.log(chalk.white(`  ${agentConfig.loginCommand}`));
     console.log(chalk.gray("\n  Then retry: ralph run\n"));
     return;
   }
-  spinner.succeed(`${AGENTS[config.agent].name} authenticated`);
+  spinner.succeed(`${agentConfig.name} authenticated via ${auth.source}`);
 
-  // Determine review agent (prefer Claude for review)
-  let reviewAgent = config.agent;
-  if (config.agent !== "claude") {
-    if (checkAgentInstalled("claude") && (await checkAgentAuth("claude"))) {
-      reviewAgent = "claude";
-    }
-  }
-  console.log(chalk.gray(`Review agent: ${AGENTS[reviewAgent].name}`));
+  const reviewer = await resolveReviewer(config);
+  console.log(chalk.gray(`Review agent: ${getAgent(reviewer.agent).name}`));
 
   // Regenerate ralph.sh with current iterations and latest fixes
   const ralphScript = generateRalphScript(
-    config.agent,
+    coder.agent,
     iterations,
-    reviewAgent,
+    reviewer.agent,
+    {
+      resumeRunId: resumable?.id,
+      runTimeoutMinutes,
+      parallel,
+      hostBridge: usesStoryBranches(config.git),
+    },
   );
   writeFileSync(join(ralphDir, "ralph.sh"), ralphScript);
   chmodSync(join(ralphDir, "ralph.sh"), "755");
 
-  // Regenerate prompt file (ensures it exists and has latest template)
-  const promptFile = config.agent === "claude" ? "CLAUDE.md" : "prompt.md";
-  const promptContent = generatePrompt(config.agent, config);
-  writeFileSync(join(ralphDir, promptFile), promptContent);
+  // Regenerate prompt files (ensures they exist and have latest template),
+  // including any fallback agent's if it reads a different file
+  for (const agent of new Set([
+    coder.agent,
+    ...(config.agentFallbacks || []),
+  ])) {
+    writeFileSync(
+      join(ralphDir, getPromptFile(agent)),
+      generatePrompt(agent, config),
+    );
+  }
 
   // Write review prompt
   const reviewPromptContent = generateReviewPrompt(config);
@@ -641,14 +820,14 @@ async function runRalph(args) {
   // Create prd.json if missing
   if (!existsSync(join(ralphDir, "prd.json"))) {
     const emptyPrd = getEmptyPRD(config.ticketPrefix || "US");
-    writeFileSync(
-      join(ralphDir, "prd.json"),
-      JSON.stringify(emptyPrd, null, 2),
-    );
+    writeJsonAtomic(join(ralphDir, "prd.json"), emptyPrd);
   }
 
   console.log(chalk.cyan("\nLaunching in sandy sandbox...\n"));
 
+  // The sandbox has no push rights or gh login: the loop hands fetching,
+  // pushing and PRs back to us (see host.js)
+  const stopServing = serveHostRequests(ralphDir);
   const sandyProcess = spawn("sandy", ["run", "./.ralph/ralph.sh"], {
     cwd: process.cwd(),
     stdio: "inherit",
@@ -656,6 +835,7 @@ async function runRalph(args) {
   });
 
   sandyProcess.on("close", (code) => {
+    stopServing();
     if (code === 0) {
       console.log(chalk.green.bold("\nRalph completed successfully!"));
     } else {
@@ -665,6 +845,468 @@ async function runRalph(args) {
   });
 }
 
+function getFlagValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// First argument that is neither a flag nor a flag's value
+function getPositionalArg(args, valueFlags = []) {
+  return args.find(
+    (a, i) => !a.startsWith("-") && !valueFlags.includes(args[i - 1]),
+  );
+}
+
+async function runLoopCommand(args) {
+  const ralphDir = join(process.cwd(), ".ralph");
+  const configPath = join(ralphDir, "config.json");
+  const config = existsSync(configPath)
+    ? JSON.parse(readFileSync(configPath, "utf-8"))
+    : { agent: "claude", maxIterations: 30 };
+
+  const coder = getRole(config, "coder");
+  const reviewer = getRole(config, "reviewer");
+  const agent = getFlagValue(args, "--agent") || coder.agent;
+  const reviewAgent = getFlagValue(args, "--review-agent") || agent;
+  for (const id of [agent, reviewAgent]) {
+    if (!hasAgent(id)) {
+      console.log(chalk.red(`Unknown agent: ${id}`));
+      process.exit(1);
+    }
+  }
+  const maxIterations =
+    parseInt(
+      getPositionalArg(args, [
+        "--agent",
+        "--review-agent",
+        "--resume",
+        "--timeout",
+        "--parallel",
+      ]),
+    ) || config.maxIterations;
+  const parallel = parseInt(getFlagValue(args, "--parallel")) || 1;
+
+  const loop = parallel > 1 ? runParallelLoop : runLoop;
+  const { status } = await loop({
+    agent,
+    reviewAgent,
+    // A role's model and flags only make sense for the agent it names
+    agentOptions: agent === coder.agent ? coder : {},
+    reviewAgentOptions: reviewAgent === reviewer.agent ? reviewer : {},
+    maxIterations,
+    resumeRunId: getFlagValue(args, "--resume"),
+    maxAttemptsPerStory: config.maxAttemptsPerStory,
+    stallConfig: config.stall,
+    iterationTimeoutMinutes: config.iterationTimeoutMinutes,
+    runTimeoutMinutes:
+      parseFloat(getFlagValue(args, "--timeout")) || config.runTimeoutMinutes,
+    budget: config.budget,
+    backoffConfig: config.backoff,
+    agentFallbacks: config.agentFallbacks,
+    fallbackAfterFailures: config.fallbackAfterFailures,
+    gitConfig: config.git,
+    qualityChecks: config.qualityChecks,
+    // Set by ralph.sh: git and GitHub work goes through `ralph run`
+    hostBridge: args.includes("--host-bridge"),
+    parallel,
+  });
+  process.exit(status === "complete" ? 0 : 1);
+}
+
+async function showLogs(args) {
+  const ralphDir = join(process.cwd(), ".ralph");
+  if (!existsSync(ralphDir)) {
+    console.log(chalk.red("Ralph not initialized. Run `ralph init` first."));
+    return;
+  }
+
+  const follow = args.includes("--follow") || args.includes("-f");
+  const raw = args.includes("--raw");
+  const iteration = parseInt(getFlagValue(args, "--iteration")) || null;
+  const runRef = getPositionalArg(args, ["--iteration"]);
+
+  if (!runRef && !follow) {
+    listRunLogs(ralphDir);
+    return;
+  }
+
+  const runId = resolveRunId(ralphDir, runRef);
+  if (!runId) {
+    console.log(chalk.red(`Run not found: ${runRef || "latest"}`));
+    console.log(chalk.gray("  Run `ralph logs` to see recorded runs"));
+    return;
+  }
+
+  if (follow) {
+    console.log(chalk.cyan(`\nFollowing run ${runId} (ctrl+c to stop)\n`));
+    const started = readRun(ralphDir, runId);
+    let parser = null;
+    const run = await followRun(ralphDir, runId, {
+      onIteration: (n, kind) => {
+        console.log(
+          chalk.bold(`\n─── Iteration ${n}: ${kind} ───────────────────────`),
+        );
+        // Only event streams are worth parsing live; everything else is text
+        const agent = kind === "review" ? started.reviewAgent : started.agent;
+        parser =
+          !raw &&
+          hasAgent(agent) &&
+          getAgent(agent).outputMode === "stream-json"
+            ? createOutputParser(agent)
+            : null;
+      },
+      onChunk: (chunk) => {
+        if (!parser) {
+          process.stdout.write(chunk);
+          return;
+        }
+        parser
+          .push(chunk.toString("utf-8"))
+          .forEach((event) => console.log(formatEvent(event)));
+      },
+    });
+    if (run?.interrupted) {
+      console.log(
+        chalk.yellow(
+          "\nRun interrupted: its ralph stopped without finishing it. Continue it with `ralph run --resume`",
+        ),
+      );
+      return;
+    }
+    console.log(chalk.gray(`\nRun ended: ${run?.exitReason || "unknown"}`));
+    return;
+  }
+
+  printRunLog(ralphDir, readRun(ralphDir, runId), iteration, raw);
+}
+
+function listRunLogs(ralphDir) {
+  const runs = listRuns(ralphDir);
+  if (runs.length === 0) {
+    console.log(chalk.yellow("\nNo runs recorded yet."));
+    console.log(chalk.gray("  Start one with: ralph run"));
+    return;
+  }
+
+  console.log(chalk.bold("\n Runs:\n"));
+  for (const run of runs) {
+    const started = new Date(run.startedAt).toLocaleString();
+    const iterations = `${run.iterations.length}/${run.maxIterations} iterations`;
+    const stories = `${run.storiesCompleted.length} stories completed`;
+    const reason =
+      run.status === "running"
+        ? chalk.cyan("running")
+        : run.exitReason === "complete"
+          ? chalk.green(run.exitReason)
+          : chalk.yellow(run.exitReason || run.status);
+    console.log(
+      `  ${run.id}  ${chalk.gray(started)}  ${run.agent}  ${chalk.gray(iterations)}  ${chalk.gray(stories)}  ${reason}`,
+    );
+  }
+  console.log(
+    chalk.gray(
+      "\n  Use `ralph logs <run> [--iteration N] [--raw]` to see output\n",
+    ),
+  );
+}
+
+function printRunLog(ralphDir, run, iteration, raw) {
+  console.log(chalk.bold(`\n Run ${run.id}\n`));
+  console.log(chalk.gray(`  Started: ${run.startedAt}`));
+  console.log(chalk.gray(`  Agent: ${run.agent} (review: ${run.reviewAgent})`));
+  console.log(chalk.gray(`  Status: ${run.exitReason || run.status}`));
+  for (const change of run.agentSwitches || []) {
+    console.log(
+      chalk.yellow(
+        `  Switched ${change.from} → ${change.to} at iteration ${change.iteration} (${change.reason})`,
+      ),
+    );
+  }
+
+  const records = iteration
+    ? run.iterations.filter((r) => r.iteration === iteration)
+    : run.iterations;
+  if (records.length === 0) {
+    console.log(
+      chalk.yellow(
+        iteration
+          ? `\n  Iteration ${iteration} not recorded in this run.`
+          : "\n  No iterations recorded yet.",
+      ),
+    );
+    return;
+  }
+
+  for (const record of records) {
+    console.log(
+      chalk.bold(
+        `\n═══ Iteration ${record.iteration}${record.storyId ? ` - ${record.storyId}` : ""} ═══════════════════════════`,
+      ),
+    );
+    console.log(
+      chalk.gray(
+        `  HEAD: ${record.headBefore?.slice(0, 7) || "none"} → ${record.headAfter?.slice(0, 7) || "none"}`,
+      ),
+    );
+    if (record.branch) {
+      console.log(
+        chalk.gray(
+          `  Branch: ${record.branch}${record.pullRequest ? ` (PR #${record.pullRequest})` : ""}`,
+        ),
+      );
+    }
+    if (record.conflict) {
+      const { base, resolved, files, reason } = record.conflict;
+      console.log(
+        resolved
+          ? chalk.gray(
+              `  Rebased onto ${base}${files.length ? `, resolving conflicts in ${files.join(", ")}` : ""}`,
+            )
+          : chalk.red(`  Rebase onto ${base} failed: ${reason}`),
+      );
+    }
+    if (record.error) {
+      console.log(chalk.red(`  Worker failed: ${record.error.split("\n")[0]}`));
+    }
+    if (record.strayChanges?.length) {
+      console.log(
+        chalk.yellow(
+          `  Reverted changes to other stories: ${record.strayChanges.join(", ")}`,
+        ),
+      );
+    }
+
+    const dir = getIterationDir(ralphDir, run.id, record.iteration);
+    for (const kind of ["agent", "review"]) {
+      const result = record[kind];
+      const logPath = join(dir, `${kind}.log`);
+      if (!result || !existsSync(logPath)) continue;
+      console.log(
+        chalk.cyan(
+          `\n─── ${kind === "agent" ? "Agent" : "Review"} (exit ${result.exitCode}, ${formatElapsed(result.durationMs)}) ───`,
+        ),
+      );
+      const output = readFileSync(logPath, "utf-8");
+      // Fallbacks can change the agent mid-run
+      const agent =
+        result.id || (kind === "agent" ? run.agent : run.reviewAgent);
+      console.log(raw ? output : parseAgentOutput(agent, output).text);
+    }
+  }
+}
+
+/**
+ * One report on everything `ralph run` depends on: config and PRD against
+ * their schemas, the agents each role uses, sandy, gh and the git checkout.
+ * Exits 1 when anything would stop a run.
+ */
+async function runDoctor() {
+  const ralphDir = join(process.cwd(), ".ralph");
+  let problems = 0;
+  let warnings = 0;
+  const section = (title) => console.log(chalk.bold(`\n ${title}`));
+  const ok = (message) => console.log(chalk.green(`  ✓ ${message}`));
+  const warn = (message, hint) => {
+    warnings++;
+    console.log(chalk.yellow(`  ! ${message}`));
+    if (hint) console.log(chalk.gray(`    ${hint}`));
+  };
+  const fail = (message, hint) => {
+    problems++;
+    console.log(chalk.red(`  ✗ ${message}`));
+    if (hint) console.log(chalk.gray(`    ${hint}`));
+  };
+
+  section("Ralph");
+  if (!existsSync(ralphDir)) {
+    fail(".ralph/ not found", "Run: ralph init");
+    process.exitCode = 1;
+    return;
+  }
+
+  const lockHolder = getLockHolder(ralphDir);
+  if (lockHolder) {
+    warn(
+      `Locked by \`ralph ${lockHolder.command}\` (pid ${lockHolder.pid} on ${lockHolder.host}) since ${lockHolder.startedAt}`,
+      `If it is no longer running, delete ${getLockPath(ralphDir)}`,
+    );
+  }
+
+  const configPath = join(ralphDir, "config.json");
+  const { value: config, errors: configErrors } = validateJsonFile(
+    configPath,
+    validateConfig,
+  );
+  if (configErrors.length === 0) {
+    try {
+      resolveStallConfig(config.stall);
+      validateRoles(config);
+      validateBranchTemplate(config.git?.branchTemplate);
+      (config.agentFallbacks || []).forEach((id) => getAgent(id));
+      ok("config.json is valid");
+    } catch (err) {
+      fail(`config.json: ${err.message}`);
+    }
+  } else {
+    configErrors.forEach((e) => fail(`config.json: ${e}`));
+  }
+
+  const prdPath = join(ralphDir, "prd.json");
+  const { value: prd, errors: prdErrors } = validateJsonFile(
+    prdPath,
+    validatePrd,
+  );
+  if (prdErrors.length > 0) {
+    prdErrors.forEach((e) => fail(`prd.json: ${e}`));
+  } else {
+    ok(`prd.json is valid (${prd.userStories.length} stories)`);
+    const dependencies = checkDependencies(prd);
+    dependencies.errors.forEach((e) => fail(e, "See: ralph prd graph"));
+    dependencies.warnings.forEach((w) => warn(w));
+  }
+
+  section("Agents");
+  // Which roles each agent plays, so one agent is only checked once. Only
+  // the coder and reviewer stop a run; the rest are needed for prd create,
+  // compound reviews or when falling back.
+  const usedBy = new Map();
+  const use = (agent, role) =>
+    usedBy.set(agent, [...(usedBy.get(agent) || []), role]);
+  for (const role of ROLES) use(getRole(config || {}, role).agent, role);
+  for (const id of config?.agentFallbacks || []) use(id, "fallback");
+  for (const [id, roles] of usedBy) {
+    const report = roles.some((role) => ["coder", "reviewer"].includes(role))
+      ? fail
+      : warn;
+    if (!hasAgent(id)) {
+      report(`${id} (${roles.join(", ")}): unknown agent`);
+      continue;
+    }
+    const adapter = getAgent(id);
+    const label = `${adapter.name} (${roles.join(", ")})`;
+    if (!checkAgentInstalled(id)) {
+      report(`${label} not installed`, adapter.install[0]);
+      continue;
+    }
+    const auth = await checkAgentAuth(id);
+    if (auth.ok) {
+      ok(`${label} authenticated via ${auth.source}`);
+    } else {
+      report(`${label} not authenticated`, `Run: ${adapter.loginCommand}`);
+    }
+  }
+
+  section("Sandbox");
+  let sandyInstalled = true;
+  try {
+    execSync("which sandy", { stdio: "pipe" });
+  } catch {
+    sandyInstalled = false;
+    fail("sandy not installed", "Install: https://github.com/anthropics/sandy");
+  }
+  if (sandyInstalled) {
+    try {
+      const status = execSync("sandy status", {
+        stdio: "pipe",
+        timeout: 30000,
+      }).toString();
+      if (/not running/i.test(status)) {
+        warn("sandy is not running", "ralph run starts it, or run: sandy up");
+      } else {
+        ok("sandy is running");
+      }
+    } catch {
+      warn("sandy is not set up", "ralph run sets it up, or run: sandy setup");
+    }
+  }
+  if (!existsSync(join(process.cwd(), "sandy.json"))) {
+    warn("sandy.json not found", "ralph run creates it with: sandy init");
+  }
+
+  if (config?.git?.provider === "github") {
+    section("GitHub");
+    if (!checkGitHubCLI()) {
+      fail("GitHub CLI (gh) not installed", "Install: brew install gh");
+    } else if (await checkGitHubAuth()) {
+      ok("gh authenticated");
+    } else {
+      fail("gh not authenticated", "Run: gh auth login");
+    }
+  }
+
+  section("Git");
+  const git = (command) =>
+    execSync(`git ${command}`, { stdio: "pipe" }).toString().trim();
+  let gitDir = null;
+  try {
+    gitDir = git("rev-parse --absolute-git-dir");
+  } catch {
+    fail("Not a git repository", "Run: git init");
+  }
+  if (gitDir) {
+    let branch = null;
+    try {
+      branch = git("symbolic-ref --short HEAD");
+      ok(`On branch ${branch}`);
+    } catch {
+      warn("HEAD is detached");
+    }
+    for (const [file, operation] of [
+      ["MERGE_HEAD", "merge"],
+      ["rebase-merge", "rebase"],
+      ["rebase-apply", "rebase"],
+      ["CHERRY_PICK_HEAD", "cherry-pick"],
+    ]) {
+      if (existsSync(join(gitDir, file))) {
+        fail(
+          `A ${operation} is in progress`,
+          `Finish or abort the ${operation}`,
+        );
+      }
+    }
+    // Ralph's own files under .ralph/ change on every run
+    const dirty = git('status --porcelain -- . ":(exclude).ralph"')
+      .split("\n")
+      .filter(Boolean);
+    if (dirty.length > 0) {
+      warn(
+        `${dirty.length} uncommitted change${dirty.length === 1 ? "" : "s"}`,
+        "Agents commit with `git add -A`, so these would end up in their commits",
+      );
+    } else {
+      ok("Working tree clean");
+    }
+    const worktreesDir = join(ralphDir, "worktrees");
+    const leftover = existsSync(worktreesDir)
+      ? readdirSync(worktreesDir).filter((name) => name !== ".gitignore")
+      : [];
+    if (leftover.length > 0) {
+      warn(
+        `Worktrees left from a parallel run: ${leftover.join(", ")}`,
+        "They are replaced on the next run, or remove them with: git worktree prune",
+      );
+    }
+  }
+
+  console.log();
+  if (problems > 0) {
+    console.log(
+      chalk.red.bold(
+        `  ${problems} problem${problems === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}\n`,
+      ),
+    );
+    process.exitCode = 1;
+  } else if (warnings > 0) {
+    console.log(
+      chalk.yellow.bold(
+        `  Ready to run, with ${warnings} warning${warnings === 1 ? "" : "s"}\n`,
+      ),
+    );
+  } else {
+    console.log(chalk.green.bold("  Everything looks good\n"));
+  }
+}
+
 async function showStatus() {
   const ralphDir = join(process.cwd(), ".ralph");
 
@@ -675,6 +1317,13 @@ async function showStatus() {
 
   console.log(chalk.bold("\n PRD Status:\n"));
 
+  const configPath = join(ralphDir, "config.json");
+  const config = existsSync(configPath)
+    ? JSON.parse(readFileSync(configPath, "utf-8"))
+    : {};
+  const maxAttempts =
+    config.maxAttemptsPerStory || DEFAULT_MAX_ATTEMPTS_PER_STORY;
+
   const prdPath = join(ralphDir, "prd.json");
   if (existsSync(prdPath)) {
     const prd = JSON.parse(readFileSync(prdPath, "utf-8"));
@@ -689,11 +1338,19 @@ async function showStatus() {
         const priority = chalk.gray(`[P${story.priority || i + 1}]`);
         const branch = story.branch ? chalk.gray(` → ${story.branch}`) : "";
         const pr = story.pullRequest
-          ? chalk.cyan(` PR#${story.pullRequest}`)
+          ? chalk.cyan(
+              ` PR#${story.pullRequest}${story.awaitingMerge ? " (awaiting merge)" : ""}`,
+            )
+          : "";
+        const attempts = story.attempts
+          ? chalk.gray(` (${story.attempts}/${maxAttempts} attempts)`)
           : "";
         console.log(
-          `  ${status} ${priority} ${story.id}: ${story.title}${branch}${pr}`,
+          `  ${status} ${priority} ${story.id}: ${story.title}${branch}${pr}${attempts}`,
         );
+        if (story.blocked && story.blockedReason) {
+          console.log(chalk.red(`      ${story.blockedReason}`));
+        }
       });
 
       const total = prd.userStories.length;
@@ -709,6 +1366,15 @@ async function showStatus() {
   } else {
     console.log(chalk.yellow("  prd.json not found."));
   }
+
+  const lastRun = listRuns(ralphDir).pop();
+  if (lastRun) {
+    console.log(
+      chalk.gray(
+        `  Last run: ${lastRun.id} (${lastRun.exitReason || lastRun.status}) - ${formatUsage(lastRun.usage)}\n`,
+      ),
+    );
+  }
 }
 
 async function runReview(args) {
@@ -725,16 +1391,10 @@ async function runReview(args) {
     ? JSON.parse(readFileSync(configPath, "utf-8"))
     : { agent: "claude", maxIterations: 30 };
 
-  // Determine review agent (prefer Claude)
-  let reviewAgent = config.agent;
-  if (config.agent !== "claude") {
-    if (checkAgentInstalled("claude") && (await checkAgentAuth("claude"))) {
-      reviewAgent = "claude";
-    }
-  }
-
-  const reviewAgentConfig = AGENTS[reviewAgent];
-  console.log(chalk.cyan(`\nRunning review with ${reviewAgentConfig.name}...`));
+  const reviewer = await resolveReviewer(config);
+  console.log(
+    chalk.cyan(`\nRunning review with ${getAgent(reviewer.agent).name}...`),
+  );
 
   // Write review prompt
   const reviewPromptContent = generateReviewPrompt(config);
@@ -745,32 +1405,12 @@ async function runReview(args) {
     writeFileSync(join(ralphDir, "last-output.txt"), "");
   }
 
-  // Build review command
-  const reviewPromptPath = join(ralphDir, "review-prompt.md");
-  let reviewCmd;
-  let reviewArgs;
-  if (reviewAgent === "claude") {
-    reviewCmd = "claude";
-    reviewArgs = [
-      reviewAgentConfig.dangerousFlag,
-      "-p",
-      readFileSync(reviewPromptPath, "utf-8"),
-    ];
-  } else if (reviewAgent === "codex") {
-    reviewCmd = "codex";
-    reviewArgs = [
-      reviewAgentConfig.dangerousFlag,
-      "-q",
-      readFileSync(reviewPromptPath, "utf-8"),
-    ];
-  } else {
-    reviewCmd = "gemini";
-    reviewArgs = [
-      reviewAgentConfig.dangerousFlag,
-      "-p",
-      readFileSync(reviewPromptPath, "utf-8"),
-    ];
-  }
+  // Plain output - the user is watching this one
+  const { command: reviewCmd, args: reviewArgs } = buildAgentCommand(
+    reviewer.agent,
+    reviewPromptContent,
+    { structuredOutput: false, model: reviewer.model, flags: reviewer.flags },
+  );
 
   console.log("");
 
@@ -789,10 +1429,20 @@ async function runReview(args) {
   });
 }
 
+// roles.reviewer when configured; otherwise prefer Claude for review if the
+// coder is another agent and Claude is ready to use
+async function resolveReviewer(config) {
+  const reviewer = getRole(config, "reviewer");
+  if (reviewer.configured || reviewer.agent === "claude") return reviewer;
+  if (checkAgentInstalled("claude") && (await checkAgentAuth("claude")).ok) {
+    return { ...reviewer, agent: "claude" };
+  }
+  return reviewer;
+}
+
 function checkAgentInstalled(agent) {
   try {
-    execSync(`which ${AGENTS[agent].command}`, { stdio: "pipe" });
-    return true;
+    return getAgent(agent).isInstalled();
   } catch {
     return false;
   }
@@ -925,19 +1575,21 @@ async function ensureSandyReady() {
   return true;
 }
 
+// { ok, source } or { ok: false, checked } - see detectCredentials
 async function checkAgentAuth(agent) {
-  // Basic check - most agents will prompt if not authed
   try {
-    if (agent === "claude") {
-      execSync("claude --version", { stdio: "pipe" });
-    } else if (agent === "codex") {
-      execSync("codex --version", { stdio: "pipe" });
-    } else if (agent === "gemini") {
-      execSync("gemini --version", { stdio: "pipe" });
-    }
-    return true;
+    return await getAgent(agent).checkAuth();
   } catch {
-    return false;
+    return { ok: false, checked: [] };
+  }
+}
+
+function printCheckedCredentials(auth) {
+  if (auth.checked?.length) {
+    console.log(chalk.gray(`  No credentials found in:`));
+    for (const place of auth.checked) {
+      console.log(chalk.gray(`    ${place}`));
+    }
   }
 }
 
@@ -968,98 +1620,6 @@ function checkXgitAvailable() {
   }
 }
 
-async function createStoryBranch(story, config, baseBranch = "main") {
-  const slug = story.title
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, "-")
-    .replace(/^-|-$/g, "")
-    .slice(0, 30);
-
-  const branchName = `${story.id}-${slug}`;
-
-  if (config.git?.useXgit) {
-    try {
-      // xgit b <number> "<description>"
-      execSync(`xgit b ${story.ticketId} "${story.title}"`, { stdio: "pipe" });
-      return branchName; // xgit creates its own naming
-    } catch (err) {
-      console.log(chalk.yellow("xgit failed, falling back to git"));
-    }
-  }
-
-  // Fallback to git
-  try {
-    execSync(`git checkout ${baseBranch}`, { stdio: "pipe" });
-    execSync(`git pull origin ${baseBranch}`, { stdio: "pipe" });
-    execSync(`git checkout -b ${branchName}`, { stdio: "pipe" });
-    return branchName;
-  } catch (err) {
-    throw new Error(`Failed to create branch: ${err.message}`);
-  }
-}
-
-async function createPullRequest(story, config) {
-  if (config.git?.provider !== "github" || !config.git?.createPRs) {
-    return null;
-  }
-
-  const title = `${story.id}: ${story.title}`;
-  const closesClause = story.githubIssue ? `Closes #${story.githubIssue}` : "";
-
-  // Determine target branch - if story has dependencies, target their branch
-  let targetBranch = "main";
-  if (story.dependsOn?.length > 0) {
-    // For stacked PRs, target the dependency's branch if available
-    // This will be updated by the agent when it has PRD context
-  }
-
-  const body = `${closesClause}
-
-## Summary
-${story.description}
-
-## Acceptance Criteria
-${story.acceptanceCriteria.map((ac) => `- [ ] ${ac}`).join("\n")}
-`;
-
-  try {
-    // Push branch first
-    execSync("git push -u origin HEAD", { stdio: "pipe" });
-
-    // Create PR using gh CLI
-    const result = execSync(
-      `gh pr create --title "${title.replace(/"/g, '\\"')}" --body "${body.replace(/"/g, '\\"')}" --base ${targetBranch}`,
-      { stdio: "pipe" },
-    )
-      .toString()
-      .trim();
-
-    // Extract PR number from URL
-    const prMatch = result.match(/\/pull\/(\d+)/);
-    return prMatch ? parseInt(prMatch[1]) : null;
-  } catch (err) {
-    console.log(chalk.yellow(`Failed to create PR: ${err.message}`));
-    return null;
-  }
-}
-
-async function attemptConflictResolution(story, config) {
-  try {
-    // Try to rebase on main
-    execSync("git fetch origin main", { stdio: "pipe" });
-    execSync("git rebase origin/main", { stdio: "pipe" });
-    return true;
-  } catch {
-    // Rebase failed - abort and mark blocked
-    try {
-      execSync("git rebase --abort", { stdio: "pipe" });
-    } catch {
-      // Already aborted or not in rebase state
-    }
-    return false;
-  }
-}
-
 async function ghCheck() {
   const spinner = ora();
 
@@ -1103,11 +1663,6 @@ async function ghImport(issueNumber) {
     return;
   }
 
-  const configPath = join(ralphDir, "config.json");
-  const config = JSON.parse(readFileSync(configPath, "utf-8"));
-  const prdPath = join(ralphDir, "prd.json");
-  const prd = JSON.parse(readFileSync(prdPath, "utf-8"));
-
   const spinner = ora(`Fetching issue #${issueNumber}...`).start();
 
   try {
@@ -1119,51 +1674,100 @@ async function ghImport(issueNumber) {
 
     spinner.succeed(`Found: ${issue.title}`);
 
-    // Determine next story number
-    const existingIds = prd.userStories.map((s) => s.ticketId).filter(Boolean);
-    const nextNum = existingIds.length > 0 ? Math.max(...existingIds) + 1 : 1;
-    const ticketNum = String(nextNum).padStart(3, "0");
-
-    // Check for priority label
-    const priorityLabel = issue.labels?.find((l) =>
-      l.name.startsWith("priority:"),
-    );
-    const priority =
-      priorityLabel?.name === "priority:high"
-        ? 1
-        : priorityLabel?.name === "priority:low"
-          ? 3
-          : 2;
-
-    const newStory = {
-      id: `${config.ticketPrefix || "US"}-${ticketNum}`,
-      ticketId: nextNum,
-      title: issue.title,
-      description: issue.body || issue.title,
-      acceptanceCriteria: [],
-      priority,
-      passes: false,
-      notes: "",
-      githubIssue: issue.number,
-      dependsOn: [],
-      branch: null,
-      pullRequest: null,
-      blocked: false,
-    };
-
-    prd.userStories.push(newStory);
-    writeFileSync(prdPath, JSON.stringify(prd, null, 2));
+    const result = importIssues([issue], "gh import");
+    if (!result) return;
+    if (result.skipped.length > 0) {
+      console.log(
+        chalk.yellow(
+          `\nIssue #${issue.number} is already ${result.skipped[0].id}`,
+        ),
+      );
+      return;
+    }
 
+    const [newStory] = result.added;
     console.log(chalk.green(`\nAdded story: ${newStory.id}`));
     console.log(chalk.gray(`  Title: ${newStory.title}`));
     console.log(chalk.gray(`  GitHub Issue: #${issue.number}`));
-    console.log(chalk.gray(`  Priority: ${priority}`));
+    console.log(chalk.gray(`  Priority: ${newStory.priority}`));
   } catch (err) {
     spinner.fail("Failed to fetch issue");
     console.log(chalk.red(`\n  ${err.message}`));
   }
 }
 
+/**
+ * Add GitHub issues to prd.json as stories, in one locked read and write,
+ * numbering them after the highest existing ticketId. Issues already in the
+ * PRD are skipped. Returns { added, skipped } (stories), or null if another
+ * ralph holds the lock.
+ */
+function importIssues(issues, command) {
+  const ralphDir = join(process.cwd(), ".ralph");
+  const release = lockState(command);
+  if (!release) return null;
+  try {
+    const config = JSON.parse(
+      readFileSync(join(ralphDir, "config.json"), "utf-8"),
+    );
+    const prdPath = join(ralphDir, "prd.json");
+    const prd = JSON.parse(readFileSync(prdPath, "utf-8"));
+
+    const added = [];
+    const skipped = [];
+    for (const issue of issues) {
+      const existing = prd.userStories.find(
+        (s) => s.githubIssue === issue.number,
+      );
+      if (existing) {
+        skipped.push(existing);
+        continue;
+      }
+
+      // Determine next story number
+      const existingIds = prd.userStories
+        .map((s) => s.ticketId)
+        .filter(Boolean);
+      const nextNum = existingIds.length > 0 ? Math.max(...existingIds) + 1 : 1;
+      const ticketNum = String(nextNum).padStart(3, "0");
+
+      // Check for priority label
+      const priorityLabel = issue.labels?.find((l) =>
+        l.name.startsWith("priority:"),
+      );
+      const priority =
+        priorityLabel?.name === "priority:high"
+          ? 1
+          : priorityLabel?.name === "priority:low"
+            ? 3
+            : 2;
+
+      const newStory = {
+        id: `${config.ticketPrefix || "US"}-${ticketNum}`,
+        ticketId: nextNum,
+        title: issue.title,
+        description: issue.body || issue.title,
+        acceptanceCriteria: [],
+        priority,
+        passes: false,
+        notes: "",
+        githubIssue: issue.number,
+        dependsOn: [],
+        branch: null,
+        pullRequest: null,
+        blocked: false,
+      };
+      prd.userStories.push(newStory);
+      added.push(newStory);
+    }
+
+    if (added.length > 0) writeJsonAtomic(prdPath, prd);
+    return { added, skipped };
+  } finally {
+    release();
+  }
+}
+
 async function ghSync() {
   const ralphDir = join(process.cwd(), ".ralph");
   if (!existsSync(ralphDir)) {
@@ -1228,18 +1832,88 @@ async function ghSync() {
       return;
     }
 
-    // Import each issue
-    for (const issue of issues) {
-      await ghImport(String(issue.number));
+    const result = importIssues(issues, "gh sync");
+    if (!result) return;
+    for (const story of result.added) {
+      console.log(
+        chalk.gray(`  ${story.id}: ${story.title} (#${story.githubIssue})`),
+      );
     }
 
-    console.log(chalk.green(`\nImported ${issues.length} issues.`));
+    console.log(chalk.green(`\nImported ${result.added.length} issues.`));
+    if (result.skipped.length > 0) {
+      console.log(
+        chalk.gray(`  ${result.skipped.length} were already in the PRD`),
+      );
+    }
   } catch (err) {
     spinner.fail("Failed to fetch issues");
     console.log(chalk.red(`\n  ${err.message}`));
   }
 }
 
+/**
+ * After a stacked story's parent PR merges, rebase the story's branch onto
+ * what the parent merged into and retarget its PR (see restackStories).
+ */
+async function ghRestack() {
+  const ralphDir = join(process.cwd(), ".ralph");
+  if (!existsSync(ralphDir)) {
+    console.log(chalk.red("Ralph not initialized. Run `ralph init` first."));
+    return;
+  }
+  if (!checkGitHubCLI()) {
+    console.log(
+      chalk.red("GitHub CLI (gh) not installed. Run: ralph gh check"),
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const release = lockState("gh restack");
+  if (!release) return;
+  const spinner = ora("Checking stacked pull requests...").start();
+  try {
+    const prdPath = join(ralphDir, "prd.json");
+    const prd = JSON.parse(readFileSync(prdPath, "utf-8"));
+    const results = restackStories(process.cwd(), prd);
+    spinner.stop();
+    writeJsonAtomic(prdPath, prd);
+    if (results.length === 0) {
+      console.log(
+        chalk.green(
+          "Nothing to restack: no stacked story's parent has merged.",
+        ),
+      );
+      return;
+    }
+
+    for (const { storyId, branch, from, to, status, error } of results) {
+      const moved = from === to ? `rebased on ${to}` : `${from} → ${to}`;
+      if (status === "restacked") {
+        console.log(chalk.green(`  ✓ ${storyId} (${branch}): ${moved}`));
+        continue;
+      }
+      console.log(chalk.red(`  ✗ ${storyId} (${branch}): ${status}`));
+      console.log(chalk.gray(`    ${error.split("\n").join("\n    ")}`));
+      console.log(
+        chalk.gray(
+          status === "conflict"
+            ? `    Rebase it by hand: git rebase --onto ${to} <old base> ${branch}`
+            : `    Push it by hand (git push --force-with-lease origin ${branch}) and point its PR at ${to}`,
+        ),
+      );
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    spinner.fail("Restack failed");
+    console.log(chalk.red(`\n  ${err.message}`));
+    process.exitCode = 1;
+  } finally {
+    release();
+  }
+}
+
 async function prdCreate() {
   const ralphDir = join(process.cwd(), ".ralph");
 
@@ -1257,10 +1931,7 @@ async function prdCreate() {
       ticketPrefix,
       git: { provider: "none", createPRs: false },
     };
-    writeFileSync(
-      join(ralphDir, "config.json"),
-      JSON.stringify(config, null, 2),
-    );
+    writeJsonAtomic(join(ralphDir, "config.json"), config);
   }
 
   // Ask for PRD name
@@ -1278,43 +1949,67 @@ async function prdCreate() {
   const prdPath = join(prdsDir, `${slug}.json`);
 
   // Check if exists
+  let overwrite = false;
   if (existsSync(prdPath)) {
-    const { overwrite } = await inquirer.prompt([
+    ({ overwrite } = await inquirer.prompt([
       {
         type: "confirm",
         name: "overwrite",
         message: `PRD "${slug}" already exists. Overwrite?`,
         default: false,
       },
-    ]);
+    ]));
     if (!overwrite) {
       console.log(chalk.yellow("Aborted."));
       return;
     }
   }
 
-  console.log(chalk.cyan(`\nCreating PRD: ${slug}`));
-  console.log(chalk.cyan("Launching Claude...\n"));
+  // Held until the agent has written the PRD and it is active, so a running
+  // loop can't sync over it in between
+  const release = lockState("prd create");
+  if (!release) return;
+  if (overwrite && !syncBeforeOverwrite(slug)) {
+    release();
+    return;
+  }
 
-  // Set as active before launching Claude
-  setActivePrd(slug);
+  const configPath = join(ralphDir, "config.json");
+  const config = existsSync(configPath)
+    ? JSON.parse(readFileSync(configPath, "utf-8"))
+    : { agent: "claude" };
+  const writer = getRole(config, "prdWriter");
 
-  const claudeProcess = spawn(
-    "claude",
-    [
-      `Use the /ralph-prd skill to create a PRD called "${prdName}". Save to .ralph/prds/${slug}.json`,
-    ],
-    {
-      cwd: process.cwd(),
-      stdio: "inherit",
-    },
+  console.log(chalk.cyan(`\nCreating PRD: ${slug}`));
+  console.log(chalk.cyan(`Launching ${getAgent(writer.agent).name}...\n`));
+
+  // Only Claude has the ralph-prd skill installed; others read it directly
+  const instructions =
+    writer.agent === "claude"
+      ? "Use the /ralph-prd skill"
+      : `Follow the instructions in ${join(SKILLS_DIR, "prd", "SKILL.md")}`;
+  const { command, args } = buildAgentCommand(
+    writer.agent,
+    `${instructions} to create a PRD called "${prdName}". Save to .ralph/prds/${slug}.json`,
+    { interactive: true, model: writer.model, flags: writer.flags },
   );
+  const writerProcess = spawn(command, args, {
+    cwd: process.cwd(),
+    stdio: "inherit",
+  });
 
-  claudeProcess.on("close", (code) => {
-    if (code === 0) {
-      console.log(chalk.green(`\nPRD "${slug}" created and set as active!`));
-      console.log(chalk.gray("  Run `ralph status` to see your stories"));
-      console.log(chalk.gray("  Run `ralph prd list` to see all PRDs"));
+  writerProcess.on("error", (err) => {
+    console.log(chalk.red(`Couldn't start ${command}: ${err.message}`));
+  });
+  writerProcess.on("close", (code) => {
+    try {
+      if (code === 0 && existsSync(prdPath) && setActivePrd(slug)) {
+        console.log(chalk.green(`\nPRD "${slug}" created and set as active!`));
+        console.log(chalk.gray("  Run `ralph status` to see your stories"));
+        console.log(chalk.gray("  Run `ralph prd list` to see all PRDs"));
+      }
+    } finally {
+      release();
     }
   });
 }
@@ -1356,21 +2051,37 @@ async function prdLoad(filePath) {
   const prdPath = join(prdsDir, `${slug}.json`);
 
   // Check if exists
+  let overwrite = false;
   if (existsSync(prdPath)) {
-    const { overwrite } = await inquirer.prompt([
+    ({ overwrite } = await inquirer.prompt([
       {
         type: "confirm",
         name: "overwrite",
         message: `PRD "${slug}" already exists. Overwrite?`,
         default: false,
       },
-    ]);
+    ]));
     if (!overwrite) {
       console.log(chalk.yellow("Aborted."));
       return;
     }
   }
 
+  // Held from the sync through writing and activating the new PRD, so a
+  // running loop can't sync over it in between
+  const release = lockState("prd load");
+  if (!release) return;
+  try {
+    if (overwrite && !syncBeforeOverwrite(slug)) return;
+    loadPrdFile(filePath, ralphDir, slug, prdPath);
+  } finally {
+    release();
+  }
+}
+
+// Convert the markdown PRD at filePath into prds/<slug>.json and make it the
+// active PRD
+function loadPrdFile(filePath, ralphDir, slug, prdPath) {
   const configPath = join(ralphDir, "config.json");
   const config = existsSync(configPath)
     ? JSON.parse(readFileSync(configPath, "utf-8"))
@@ -1382,12 +2093,13 @@ async function prdLoad(filePath) {
     const content = readFileSync(filePath, "utf-8");
     const prdJson = convertToPRDJson(content, config.ticketPrefix || "US");
 
-    writeFileSync(prdPath, JSON.stringify(prdJson, null, 2));
-    setActivePrd(slug);
+    writeJsonAtomic(prdPath, prdJson);
 
     spinner.succeed(
       `Loaded ${prdJson.userStories.length} stories as "${slug}"`,
     );
+    if (!setActivePrd(slug)) return;
+    printDependencyProblems(checkDependencies(prdJson));
 
     console.log(chalk.bold("\nStories loaded:"));
     prdJson.userStories.forEach((story) => {
@@ -1422,7 +2134,11 @@ async function prdList() {
 
   for (const prdName of prds) {
     const isActive = prdName === activePrd;
-    const prdPath = join(ralphDir, "prds", `${prdName}.json`);
+    // The active PRD's latest state is whatever the agents last wrote
+    const prdPath =
+      isActive && existsSync(join(ralphDir, "prd.json"))
+        ? join(ralphDir, "prd.json")
+        : join(ralphDir, "prds", `${prdName}.json`);
     const prd = JSON.parse(readFileSync(prdPath, "utf-8"));
 
     const total = prd.userStories?.length || 0;
@@ -1460,11 +2176,123 @@ async function prdUse(name) {
     return;
   }
 
-  setActivePrd(name);
+  if (!setActivePrd(name)) return;
   console.log(chalk.green(`\nSwitched to PRD: ${name}`));
+  printDependencyProblems(
+    checkDependencies(JSON.parse(readFileSync(prdPath, "utf-8"))),
+  );
   console.log(chalk.gray("  Run `ralph status` to see stories"));
 }
 
+async function prdGraph(args) {
+  const prdPath = join(process.cwd(), ".ralph", "prd.json");
+  if (!existsSync(prdPath)) {
+    console.log(chalk.red("prd.json not found."));
+    console.log(chalk.gray("  Create one with: ralph prd create"));
+    process.exitCode = 1;
+    return;
+  }
+
+  const format = getFlagValue(args, "--format") || "ascii";
+  if (!GRAPH_FORMATS.includes(format)) {
+    console.log(
+      chalk.red(
+        `Unknown format: ${format} (expected one of: ${GRAPH_FORMATS.join(", ")})`,
+      ),
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const prd = JSON.parse(readFileSync(prdPath, "utf-8"));
+  if (!prd.userStories?.length) {
+    console.log(chalk.yellow("No stories in PRD yet."));
+    return;
+  }
+  const dependencies = checkDependencies(prd);
+  if (format === "ascii") {
+    console.log(chalk.bold("\n Story Dependencies:\n"));
+    console.log(renderGraph(prd, format));
+    printDependencyProblems(dependencies);
+    console.log();
+  } else {
+    // Keep stdout clean for piping into mermaid or dot
+    console.log(renderGraph(prd, format));
+    for (const problem of [...dependencies.errors, ...dependencies.warnings]) {
+      console.error(chalk.yellow(`warning: ${problem}`));
+    }
+  }
+  if (dependencies.errors.length > 0) process.exitCode = 1;
+}
+
+async function prdSync(args) {
+  const ralphDir = join(process.cwd(), ".ralph");
+  const keep = getFlagValue(args, "--keep");
+  if (keep && !["prd", "stored"].includes(keep)) {
+    console.log(chalk.red("Usage: ralph prd sync [--keep prd|stored]"));
+    process.exitCode = 1;
+    return;
+  }
+
+  const release = lockState("prd sync");
+  if (!release) return;
+  let status, name;
+  try {
+    ({ status, name } = syncActivePrd(ralphDir, { keep }));
+  } finally {
+    release();
+  }
+  if (status === "none") {
+    console.log(chalk.yellow("No active PRD to sync."));
+    console.log(chalk.gray("  Pick one with: ralph prd use <name>"));
+  } else if (status === "conflict") {
+    printSyncConflict(name);
+    process.exitCode = 1;
+  } else if (status === "loaded") {
+    console.log(chalk.green(`Copied prds/${name}.json into prd.json`));
+  } else if (status === "saved") {
+    console.log(chalk.green(`Saved prd.json to prds/${name}.json`));
+  } else {
+    console.log(chalk.green(`prd.json and prds/${name}.json are in sync`));
+  }
+}
+
+function printSyncConflict(name) {
+  console.log(
+    chalk.red(
+      `\nprd.json and prds/${name}.json have both changed since they were last synced.`,
+    ),
+  );
+  console.log(chalk.gray("  Keep the agents' copy: ralph prd sync --keep prd"));
+  console.log(
+    chalk.gray(`  Keep prds/${name}.json: ralph prd sync --keep stored`),
+  );
+}
+
+function printDependencyProblems({ errors, warnings }) {
+  if (errors.length > 0) {
+    console.log(chalk.red("\n  Story dependencies are broken:"));
+    errors.forEach((e) => console.log(chalk.red(`    - ${e}`)));
+  }
+  if (warnings.length > 0) {
+    console.log(chalk.yellow("\n  Stories that can't start yet:"));
+    warnings.forEach((w) => console.log(chalk.yellow(`    - ${w}`)));
+  }
+}
+
+// Commands that change .ralph/ state hold the lock while they do, so they
+// can't clobber a running loop (or each other). Returns the release
+// function, or null after explaining who holds it.
+function lockState(command) {
+  try {
+    return acquireLock(join(process.cwd(), ".ralph"), command);
+  } catch (err) {
+    console.log(chalk.red(err.message));
+    process.exitCode = 1;
+    return null;
+  }
+}
+
 // PRD Management Helper Functions
 function ensurePrdsDir() {
   const prdsDir = join(process.cwd(), ".ralph", "prds");
@@ -1479,21 +2307,45 @@ function getActivePrdName() {
   return config.activePrd || null;
 }
 
-function setActivePrd(name) {
-  const configPath = join(process.cwd(), ".ralph", "config.json");
-  const config = existsSync(configPath)
-    ? JSON.parse(readFileSync(configPath, "utf-8"))
-    : {};
-  config.activePrd = name;
-  writeFileSync(configPath, JSON.stringify(config, null, 2));
+// Before overwriting the active PRD's stored copy, sync prd.json into it, so
+// activating the new version afterwards sees only that change rather than
+// both copies edited. Returns false, after saying why and before anything is
+// written, when both already have edits.
+function syncBeforeOverwrite(name) {
+  if (name !== getActivePrdName()) return true;
+  const release = lockState("prd sync");
+  if (!release) return false;
+  let result;
+  try {
+    result = syncActivePrd(join(process.cwd(), ".ralph"));
+  } finally {
+    release();
+  }
+  if (result.status === "conflict") {
+    printSyncConflict(result.name);
+    console.log(chalk.gray(`  Then overwrite "${name}" again`));
+    return false;
+  }
+  return true;
+}
 
-  // Copy to .ralph/prd.json for backwards compatibility
-  const prdsDir = join(process.cwd(), ".ralph", "prds");
-  const sourcePath = join(prdsDir, `${name}.json`);
-  const destPath = join(process.cwd(), ".ralph", "prd.json");
-  if (existsSync(sourcePath)) {
-    writeFileSync(destPath, readFileSync(sourcePath, "utf-8"));
+// Returns false, after saying why, when unsynced edits to the current PRD
+// would be lost by switching
+function setActivePrd(name) {
+  const release = lockState("prd use");
+  if (!release) return false;
+  let result;
+  try {
+    result = activatePrd(join(process.cwd(), ".ralph"), name);
+  } finally {
+    release();
+  }
+  if (result.status === "conflict") {
+    printSyncConflict(result.name);
+    console.log(chalk.gray(`  Then switch with: ralph prd use ${name}`));
+    return false;
   }
+  return true;
 }
 
 function listPrds() {
@@ -1549,26 +2401,24 @@ function installRalphSkills() {
   return installed;
 }
 
-function generateRalphScript(agent, maxIterations, reviewAgent = agent) {
-  const agentConfig = AGENTS[agent];
-  const promptFile = agent === "claude" ? "CLAUDE.md" : "prompt.md";
-
-  const agentCommand =
-    agent === "claude"
-      ? `claude ${agentConfig.dangerousFlag} -p "$(cat "$PROMPT_FILE")"`
-      : agent === "codex"
-        ? `codex ${agentConfig.dangerousFlag} -q "$(cat "$PROMPT_FILE")"`
-        : `gemini ${agentConfig.dangerousFlag} -p "$(cat "$PROMPT_FILE")"`;
-
-  // Review agent command (may differ from coding agent)
-  const reviewAgentConfig = AGENTS[reviewAgent];
-  const reviewCommand =
-    reviewAgent === "claude"
-      ? `claude ${reviewAgentConfig.dangerousFlag} -p "$(cat "$REVIEW_PROMPT_FILE")"`
-      : reviewAgent === "codex"
-        ? `codex ${reviewAgentConfig.dangerousFlag} -q "$(cat "$REVIEW_PROMPT_FILE")"`
-        : `gemini ${reviewAgentConfig.dangerousFlag} -p "$(cat "$REVIEW_PROMPT_FILE")"`;
-
+function generateRalphScript(
+  agent,
+  maxIterations,
+  reviewAgent = agent,
+  { resumeRunId, runTimeoutMinutes, parallel, hostBridge } = {},
+) {
+  const agentConfig = getAgent(agent);
+  const reviewAgentConfig = getAgent(reviewAgent);
+  let loopArgs = `${maxIterations} --agent ${agent} --review-agent ${reviewAgent}`;
+  if (resumeRunId) loopArgs += ` --resume ${resumeRunId}`;
+  if (runTimeoutMinutes) loopArgs += ` --timeout ${runTimeoutMinutes}`;
+  if (parallel > 1) loopArgs += ` --parallel ${parallel}`;
+  if (hostBridge) loopArgs += " --host-bridge";
+
+  // The loop itself lives in lib/loop.js - this script only hands off to it.
+  // It runs inside sandy, which can't see where ralph is installed on the
+  // host, so the same version has to be on the sandbox's PATH. There's no
+  // fetching it from npm: the published releases may not have `loop`.
   return `#!/bin/bash
 # Ralph Wiggum - Autonomous AI Coding Agent Loop
 # Generated by ralph CLI
@@ -1578,180 +2428,17 @@ function generateRalphScript(agent, maxIterations, reviewAgent = agent) {
 set -e
 
 SCRIPT_DIR="$(cd "$(dirname "\${BASH_SOURCE[0]}")" && pwd)"
-PRD_FILE="$SCRIPT_DIR/prd.json"
-PROGRESS_FILE="$SCRIPT_DIR/progress.txt"
-PROMPT_FILE="$SCRIPT_DIR/${promptFile}"
-REVIEW_PROMPT_FILE="$SCRIPT_DIR/review-prompt.md"
-MAX_ITERATIONS=${maxIterations}
-
-# Spinner with elapsed time + stale warning
-show_spinner() {
-  local pid=$1
-  local label=\${2:-"Working"}
-  local start_time=$(date +%s)
-  local spin_chars='|/-\\\\'
-  local i=0
-  local warned=0
-  while kill -0 "$pid" 2>/dev/null; do
-    local now=$(date +%s)
-    local elapsed=$((now - start_time))
-    local min=$((elapsed / 60))
-    local sec=$((elapsed % 60))
-    printf "\\\\r  %s %s... (%dm %02ds)  " "\${spin_chars:\$i:1}" "$label" "$min" "$sec"
-    i=$(( (i + 1) % \${#spin_chars} ))
-    if [ $elapsed -gt 180 ] && [ $warned -eq 0 ]; then
-      warned=1
-      printf "\\\\n  ⚠ Running for 3+ min. If hung, ctrl+c to skip.\\\\n"
-    fi
-    sleep 0.2
-  done
-  local now=$(date +%s)
-  local elapsed=$((now - start_time))
-  local min=$((elapsed / 60))
-  local sec=$((elapsed % 60))
-  printf "\\\\r  ✓ Done (%dm %02ds)                              \\\\n" "$min" "$sec"
-}
+RALPH_VERSION="${VERSION}"
 
-echo ""
-echo -e "\\\\033[1;33m╦═╗╔═╗╦  ╔═╗╦ ╦\\\\033[0m  \\\\033[1;31m╦ ╦╦╔═╗╔═╗╦ ╦╔╦╗\\\\033[0m"
-echo -e "\\\\033[1;33m╠╦╝╠═╣║  ╠═╝╠═╣\\\\033[0m  \\\\033[1;31m║║║║║ ╦║ ╦║ ║║║║\\\\033[0m"
-echo -e "\\\\033[1;33m╩╚═╩ ╩╩═╝╩  ╩ ╩\\\\033[0m  \\\\033[1;31m╚╩╝╩╚═╝╚═╝╚═╝╩ ╩\\\\033[0m"
-echo ""
-echo "Agent: ${agentConfig.name}"
-echo "Review: ${reviewAgentConfig.name}"
-echo "Max iterations: $MAX_ITERATIONS"
-echo "Started: $(date)"
-echo ""
-
-# Validate required files exist
-if [ ! -f "$PROMPT_FILE" ]; then
-  echo "ERROR: Prompt file not found: $PROMPT_FILE"
-  exit 1
-fi
-if [ ! -f "$PRD_FILE" ]; then
-  echo "ERROR: PRD file not found: $PRD_FILE"
-  exit 1
-fi
-if [ ! -f "$PROGRESS_FILE" ]; then
-  echo "ERROR: Progress file not found: $PROGRESS_FILE"
-  exit 1
-fi
-if [ ! -f "$REVIEW_PROMPT_FILE" ]; then
-  echo "WARNING: Review prompt not found: $REVIEW_PROMPT_FILE (skipping reviews)"
+cd "$SCRIPT_DIR/.."
+
+if command -v ralph >/dev/null 2>&1 && ralph --version 2>/dev/null | grep -qx "ralph v$RALPH_VERSION"; then
+  exec ralph loop ${loopArgs}
 fi
 
-for i in $(seq 1 $MAX_ITERATIONS); do
-  echo ""
-  echo "═══════════════════════════════════════════════════════"
-  echo "  Iteration $i of $MAX_ITERATIONS"
-  echo "═══════════════════════════════════════════════════════"
-  echo ""
-
-  OUTPUT_FILE=$(mktemp)
-
-  # Run coding agent in background
-  ${agentCommand} > "$OUTPUT_FILE" 2>&1 &
-  AGENT_PID=$!
-
-  # Show spinner while agent works
-  show_spinner $AGENT_PID "${agentConfig.name} is working"
-
-  # Wait for agent and capture exit code
-  wait $AGENT_PID || true
-
-  OUTPUT=$(cat "$OUTPUT_FILE")
-  rm -f "$OUTPUT_FILE"
-
-  # Show output summary
-  if [ -n "$OUTPUT" ]; then
-    LINES=$(echo "$OUTPUT" | wc -l | tr -d ' ')
-    echo ""
-    echo "─── Output ($LINES lines) ────────────────────────────"
-    if [ "$LINES" -gt 40 ]; then
-      echo "$OUTPUT" | head -15
-      echo ""
-      echo "  ... ($((LINES - 30)) lines omitted) ..."
-      echo ""
-      echo "$OUTPUT" | tail -15
-    else
-      echo "$OUTPUT"
-    fi
-    echo "────────────────────────────────────────────────────────"
-  else
-    echo ""
-    echo "  ⚠ No output from agent"
-  fi
-
-  # Save last output for review agent
-  echo "$OUTPUT" > "$SCRIPT_DIR/last-output.txt"
-
-  # Check for auth errors - don't retry
-  if echo "$OUTPUT" | grep -qi "invalid api key\\\\|please run /login\\\\|not authenticated\\\\|unauthorized"; then
-    echo ""
-    echo "Authentication failed. Please authenticate your agent first:"
-    echo "  claude /login"
-    echo ""
-    echo "Then retry: ralph run"
-    exit 1
-  fi
-
-  # ─── Review Agent Step ───────────────────────────────────
-  if [ -f "$REVIEW_PROMPT_FILE" ]; then
-    echo ""
-    echo "─── Review Agent ────────────────────────────────────"
-
-    REVIEW_OUTPUT_FILE=$(mktemp)
-
-    ${reviewCommand} > "$REVIEW_OUTPUT_FILE" 2>&1 &
-    REVIEW_PID=$!
-
-    show_spinner $REVIEW_PID "Review agent checking work"
-
-    wait $REVIEW_PID || true
-
-    REVIEW_OUTPUT=$(cat "$REVIEW_OUTPUT_FILE")
-    rm -f "$REVIEW_OUTPUT_FILE"
-
-    if [ -n "$REVIEW_OUTPUT" ]; then
-      REVIEW_LINES=$(echo "$REVIEW_OUTPUT" | wc -l | tr -d ' ')
-      if [ "$REVIEW_LINES" -gt 20 ]; then
-        echo "$REVIEW_OUTPUT" | head -8
-        echo "  ... ($((REVIEW_LINES - 16)) lines omitted) ..."
-        echo "$REVIEW_OUTPUT" | tail -8
-      else
-        echo "$REVIEW_OUTPUT"
-      fi
-    else
-      echo "  ⚠ No output from review agent"
-    fi
-    echo "────────────────────────────────────────────────────────"
-  fi
-
-  # Check for completion AFTER review
-  if echo "$OUTPUT" | grep -q "<promise>COMPLETE</promise>"; then
-    # Coding agent thinks we're done — verify via prd.json (review may have un-finished stories)
-    REMAINING=$(grep -c '"passes": false' "$PRD_FILE" 2>/dev/null || echo "0")
-    if [ "$REMAINING" -gt 0 ]; then
-      echo ""
-      echo "  Review agent found $REMAINING incomplete stories. Continuing..."
-    else
-      echo ""
-      echo "════════════════════════════════════════════════════"
-      echo "  RALPH COMPLETED ALL TASKS!"
-      echo "  Finished at iteration $i of $MAX_ITERATIONS"
-      echo "════════════════════════════════════════════════════"
-      exit 0
-    fi
-  fi
-
-  echo ""
-  echo "Iteration $i complete. Continuing in 3 seconds..."
-  sleep 3
-done
-
-echo ""
-echo "Ralph reached max iterations ($MAX_ITERATIONS) without completing."
-echo "Check progress.txt for status."
+FOUND="$(command -v ralph >/dev/null 2>&1 && ralph --version 2>/dev/null || true)"
+echo "ERROR: ralph v$RALPH_VERSION isn't installed in the sandbox\${FOUND:+ (found $FOUND)}"
+echo "  Install ralphmode $RALPH_VERSION there: npm install -g ralphmode@$RALPH_VERSION"
 exit 1
 `;
 }
@@ -1762,40 +2449,9 @@ function generatePrompt(agent, config = {}) {
       ? `
 ## Git Workflow (Branch per Story)
 
-Before starting a story:
-1. **Check story.branch** - if null, create a new branch
-2. **Branch naming**: \`${config.ticketPrefix || "US"}-XXX-kebab-title\`
-3. **Base branch**:
-   - If story.dependsOn is empty → branch from main
-   - If story.dependsOn has values → branch from that story's branch
-
-To create branch:
-${config.git?.useXgit ? `\`xgit b <ticketId> "<title>"\` (preferred)` : `\`git checkout main && git pull && git checkout -b <branch-name>\``}
-
-After completing a story:
-1. **Commit** all changes
-2. **Push** branch: \`git push -u origin HEAD\`
-3. **Create PR**:
-   \`\`\`bash
-   gh pr create --title "${config.ticketPrefix || "US"}-XXX: Story title" --body "Closes #<githubIssue if set>
-
-   ## Summary
-   <description>
-
-   ## Changes
-   <list files changed>"
-   \`\`\`
-4. **Update prd.json**:
-   - Set \`branch\` to the branch name
-   - Set \`pullRequest\` to the PR number
-   - Set \`passes: true\`
-
-If merge conflicts occur:
-1. Try \`git fetch origin main && git rebase origin/main\`
-2. If conflicts can't be resolved automatically:
-   - \`git rebase --abort\`
-   - Set \`blocked: true\` in prd.json
-   - Move to next story without \`dependsOn\` pointing to blocked story
+Ralph has already checked out the story's branch (\`branch\` in the story above) and will push it and open the pull request once the review agent confirms the story passes.
+- Commit changes with: \`feat: [Story ID] - [Story Title]\`
+- Do NOT create, switch, push or rebase branches, and do NOT run \`gh\`
 `
       : `
 ## Git Workflow
@@ -1811,16 +2467,16 @@ You are Ralph, an autonomous AI coding agent. Follow these steps precisely:
 1. **Read the PRD** at \`.ralph/prd.json\`
 2. **Read progress.txt** at \`.ralph/progress.txt\` - check Codebase Patterns section first
 3. **Read config** at \`.ralph/config.json\` - note ticketPrefix and git settings
-4. **Pick ONE story** - the highest priority story where \`passes: false\` and \`blocked: false\`
-5. **Check dependencies** - if story.dependsOn has IDs, verify those stories have \`passes: true\`
-${gitInstructions}
+4. **Take the story assigned above** ("This Iteration's Story") - Ralph has already checked priority and dependencies, so do not pick a different one
+5. **Leave other stories alone** - only the assigned story's entry in prd.json may change
+   - If the story has a \`lastFailureNote\`, a previous attempt failed review - address that first
 6. **Implement** that single user story completely
 7. **Run quality checks** - typecheck, lint, test (whatever the project uses)
 8. **Update PRD files**:
-   - Update \`.ralph/prd.json\` - set \`passes: true\`, update \`branch\` and \`pullRequest\` if applicable
-   - If \`config.activePrd\` is set, also update \`.ralph/prds/<activePrd>.json\` to keep them in sync
+   - Update \`.ralph/prd.json\` - set \`passes: true\` (Ralph fills in \`branch\` and \`pullRequest\`)
+   - Don't edit \`.ralph/prds/\` - Ralph copies prd.json there after each iteration
 9. **Append to progress.txt** using the format below
-
+${gitInstructions}
 ## Progress Report Format
 
 APPEND to .ralph/progress.txt (never replace, always append):
@@ -1830,7 +2486,6 @@ APPEND to .ralph/progress.txt (never replace, always append):
 - What was implemented
 - Files changed
 - Branch: <branch name>
-- PR: #<number> (if created)
 - **Learnings for future iterations:**
   - Patterns discovered
   - Gotchas encountered
@@ -1877,7 +2532,7 @@ You are a **Review Agent** for Ralph. Your ONLY job is to verify completed work
 - Do NOT modify source code
 - Do NOT implement features
 - Do NOT create branches or PRs
-- ONLY edit .ralph/prd.json (and .ralph/prds/<activePrd>.json if activePrd is set in config)
+- ONLY edit .ralph/prd.json (Ralph copies it to .ralph/prds/ itself)
 
 ## Steps
 
@@ -1906,11 +2561,7 @@ You are a **Review Agent** for Ralph. Your ONLY job is to verify completed work
    - New stories must have: id, ticketId, title, description, acceptanceCriteria, priority, passes: false, notes, dependsOn, branch: null, pullRequest: null, blocked: false
    - Only add stories for real, concrete issues — not hypothetical improvements
 
-5. **Sync PRD files:**
-   - Update \`.ralph/prd.json\`
-   - If \`config.activePrd\` is set, also update \`.ralph/prds/<activePrd>.json\`
-
-6. **Output summary:**
+5. **Output summary:**
    - List stories verified (pass/fail)
    - List any new stories added
    - If all non-blocked stories pass: output "REVIEW PASSED"
@@ -2016,8 +2667,7 @@ async function runCompoundReview() {
     ? JSON.parse(readFileSync(configPath, "utf-8"))
     : { agent: "claude" };
 
-  const agent = config.agent;
-  const agentConfig = AGENTS[agent];
+  const compound = getRole(config, "compound");
 
   console.log(chalk.cyan("\nRunning Compound Review..."));
   console.log(chalk.gray("Extracting learnings from recent sessions\n"));
@@ -2040,25 +2690,16 @@ Commit any changes with: "chore: compound learnings from recent sessions"
 
   // Run compound review
   try {
-    if (agent === "claude") {
-      execSync(
-        `echo '${compoundPrompt.replace(/'/g, "\\'")}' | claude --dangerously-skip-permissions --print`,
-        {
-          cwd: process.cwd(),
-          stdio: "inherit",
-        },
-      );
-    } else if (agent === "codex") {
-      execSync(`codex --full-auto -q "${compoundPrompt}"`, {
-        cwd: process.cwd(),
-        stdio: "inherit",
-      });
-    } else {
-      execSync(`gemini -y -p "${compoundPrompt}"`, {
-        cwd: process.cwd(),
-        stdio: "inherit",
-      });
-    }
+    const { command, args } = buildAgentCommand(
+      compound.agent,
+      compoundPrompt,
+      {
+        structuredOutput: false,
+        model: compound.model,
+        flags: compound.flags,
+      },
+    );
+    execFileSync(command, args, { cwd: process.cwd(), stdio: "inherit" });
     console.log(chalk.green("\nCompound review complete!"));
   } catch (err) {
     console.log(
@@ -2270,4 +2911,7 @@ function generateCaffeinatePlist(label, startHour) {
 </plist>`;
 }
 
-main().catch(console.error);
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
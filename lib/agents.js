@@ -0,0 +1,296 @@
+import { join, basename } from "path";
+import { existsSync, readFileSync, readdirSync } from "fs";
+import { execSync } from "child_process";
+import { pathToFileURL } from "url";
+import { detectCredentials } from "./auth.js";
+
+export const COMPLETION_PROMISE = "<promise>COMPLETE</promise>";
+
+/**
+ * An agent adapter describes how Ralph drives one CLI agent:
+ *
+ *   id, name, command     registry key, display name, executable
+ *   promptFile            prompt the coding agent gets (default prompt.md)
+ *   loginCommand          what to tell the user when auth fails
+ *   authCommand           interactive command `ralph init` runs to log in
+ *   install, docs         install commands and docs URL for `ralph init`
+ *   outputMode            "stream-json", "json" or "text" (see output.js)
+ *   isInstalled()         whether the agent can be run here
+ *   auth                  where credentials live: { env, files, keychain,
+ *                         probe } (see auth.js)
+ *   checkAuth()           { ok, source } - whether the agent is logged in
+ *                         and with what
+ *   buildCommand(prompt, { structuredOutput, interactive, model, flags })
+ *                         invocation as { command, args }; structuredOutput
+ *                         is false when a person is watching, interactive
+ *                         starts a session seeded with the prompt, and
+ *                         model/flags come from the role (see roles.js)
+ *   parseResult(raw)      optional: events from the whole output, replacing
+ *                         the outputMode parser
+ *   isComplete(text)      whether the agent claims the PRD is done
+ *
+ * Most adapters only need the declarative fields (dangerousFlag, promptFlag,
+ * interactivePromptFlag, modelFlag, outputFlags) - defineAgent fills in the
+ * functions from those. loginCommand, authCommand and isInstalled default
+ * to `<command> login`, `<command>` and `which <command>`, so an adapter
+ * with only a buildCommand has to give loginCommand and isInstalled itself.
+ */
+export function defineAgent(id, spec) {
+  if (!spec.command && !spec.buildCommand) {
+    throw new Error(`Agent "${id}" needs a command or buildCommand`);
+  }
+  if (!spec.command) {
+    const missing = ["loginCommand", "isInstalled"].filter((key) => !spec[key]);
+    if (missing.length > 0) {
+      throw new Error(
+        `Agent "${id}" has no command, so it needs ${missing.join(" and ")}`,
+      );
+    }
+  }
+  const adapter = {
+    id,
+    name: id,
+    promptFile: "prompt.md",
+    ...(spec.command && {
+      loginCommand: `${spec.command} login`,
+      authCommand: spec.command,
+    }),
+    install: [],
+    docs: null,
+    dangerousFlag: "",
+    promptFlag: "-p",
+    interactivePromptFlag: "",
+    modelFlag: "--model",
+    outputMode: "text",
+    outputFlags: [],
+    ...spec,
+  };
+  return {
+    ...adapter,
+    isInstalled:
+      spec.isInstalled || (() => commandSucceeds(`which ${adapter.command}`)),
+    checkAuth: spec.checkAuth || (() => checkAdapterAuth(adapter)),
+    buildCommand:
+      spec.buildCommand ||
+      ((
+        prompt,
+        {
+          structuredOutput = true,
+          interactive = false,
+          model,
+          flags = [],
+        } = {},
+      ) => {
+        const modelArgs = model ? [adapter.modelFlag, model] : [];
+        if (interactive) {
+          return {
+            command: adapter.command,
+            args: [
+              ...modelArgs,
+              ...flags,
+              adapter.interactivePromptFlag,
+              prompt,
+            ].filter(Boolean),
+          };
+        }
+        return {
+          command: adapter.command,
+          args: [
+            adapter.dangerousFlag,
+            ...modelArgs,
+            ...flags,
+            ...(structuredOutput ? adapter.outputFlags : []),
+            adapter.promptFlag,
+            prompt,
+          ].filter(Boolean),
+        };
+      }),
+    isComplete:
+      spec.isComplete || ((text) => text.includes(COMPLETION_PROMISE)),
+  };
+}
+
+// Adapters that declare no credentials can give a command that exits 0 only
+// when logged in; with neither, there's nothing to check
+function checkAdapterAuth(adapter) {
+  if (adapter.auth) return detectCredentials(adapter);
+  if (adapter.authCheck) {
+    return commandSucceeds(adapter.authCheck)
+      ? { ok: true, source: `\`${adapter.authCheck}\`` }
+      : { ok: false, checked: [`\`${adapter.authCheck}\``] };
+  }
+  return { ok: true, source: "not checked (adapter declares no credentials)" };
+}
+
+function commandSucceeds(command) {
+  try {
+    execSync(command, { stdio: "pipe" });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const CLAUDE_DIR = process.env.CLAUDE_CONFIG_DIR || "~/.claude";
+const CODEX_DIR = process.env.CODEX_HOME || "~/.codex";
+
+const BUILTIN_AGENTS = {
+  claude: {
+    name: "Claude Code",
+    command: "claude",
+    authCommand: "claude",
+    auth: {
+      env: [
+        "ANTHROPIC_API_KEY",
+        "ANTHROPIC_AUTH_TOKEN",
+        "CLAUDE_CODE_OAUTH_TOKEN",
+        "CLAUDE_CODE_USE_BEDROCK",
+        "CLAUDE_CODE_USE_VERTEX",
+      ],
+      files: [
+        {
+          path: join(CLAUDE_DIR, ".credentials.json"),
+          keys: ["claudeAiOauth"],
+        },
+        { path: "~/.claude.json", keys: ["primaryApiKey"] },
+      ],
+      keychain: ["Claude Code-credentials"],
+    },
+    loginCommand: "claude /login",
+    install: ["curl -fsSL https://claude.ai/install.sh | bash"],
+    docs: "https://code.claude.com/docs/en/quickstart",
+    promptFile: "CLAUDE.md",
+    dangerousFlag: "--dangerously-skip-permissions",
+    promptFlag: "-p",
+    outputMode: "stream-json",
+    outputFlags: ["--output-format", "stream-json", "--verbose"],
+  },
+  codex: {
+    name: "OpenAI Codex CLI",
+    command: "codex",
+    authCommand: "codex",
+    auth: {
+      env: ["OPENAI_API_KEY"],
+      files: [
+        {
+          path: join(CODEX_DIR, "auth.json"),
+          keys: ["tokens", "OPENAI_API_KEY"],
+        },
+      ],
+    },
+    loginCommand: "codex auth",
+    install: ["npm i -g @openai/codex", "# or", "brew install --cask codex"],
+    docs: "https://developers.openai.com/codex/quickstart/",
+    dangerousFlag: "--full-auto",
+    promptFlag: "-q",
+    outputMode: "text",
+  },
+  gemini: {
+    name: "Gemini CLI",
+    command: "gemini",
+    authCommand: "gemini",
+    auth: {
+      env: [
+        "GEMINI_API_KEY",
+        "GOOGLE_API_KEY",
+        "GOOGLE_GENAI_USE_VERTEXAI",
+        "GOOGLE_GENAI_USE_GCA",
+      ],
+      files: [
+        {
+          path: "~/.gemini/oauth_creds.json",
+          keys: ["refresh_token", "access_token"],
+        },
+      ],
+    },
+    loginCommand: "gemini auth",
+    install: ["npm install -g @google/gemini-cli"],
+    docs: "https://github.com/google-gemini/gemini-cli",
+    dangerousFlag: "-y",
+    promptFlag: "-p",
+    interactivePromptFlag: "-i",
+    outputMode: "json",
+    outputFlags: ["--output-format", "json"],
+  },
+};
+
+const registry = new Map(
+  Object.entries(BUILTIN_AGENTS).map(([id, spec]) => [
+    id,
+    defineAgent(id, spec),
+  ]),
+);
+
+export function registerAgent(id, spec) {
+  const adapter = defineAgent(id, spec);
+  registry.set(id, adapter);
+  return adapter;
+}
+
+export function getAgent(id) {
+  const adapter = registry.get(id);
+  if (!adapter) {
+    throw new Error(
+      `Unknown agent: ${id} (available: ${[...registry.keys()].join(", ")})`,
+    );
+  }
+  return adapter;
+}
+
+export function hasAgent(id) {
+  return registry.has(id);
+}
+
+export function listAgents() {
+  return [...registry.values()];
+}
+
+export function isBuiltinAgent(id) {
+  return id in BUILTIN_AGENTS;
+}
+
+/**
+ * Register custom adapters for a project: every .ralph/agents/<id>.js (or
+ * .mjs) whose default export is an adapter spec, plus each entry of
+ * config.agents (declarative fields only, since it's JSON).
+ * A custom adapter with a built-in's id replaces it.
+ */
+export async function loadAgentAdapters(ralphDir) {
+  const agentsDir = join(ralphDir, "agents");
+  if (existsSync(agentsDir)) {
+    for (const file of readdirSync(agentsDir).sort()) {
+      if (!/\.m?js$/.test(file)) continue;
+      const module = await import(pathToFileURL(join(agentsDir, file)).href);
+      const spec = module.default || module;
+      registerAgent(spec.id || basename(file).replace(/\.m?js$/, ""), spec);
+    }
+  }
+
+  const configPath = join(ralphDir, "config.json");
+  if (existsSync(configPath)) {
+    const config = JSON.parse(readFileSync(configPath, "utf-8"));
+    for (const [id, spec] of Object.entries(config.agents || {})) {
+      registerAgent(id, spec);
+    }
+  }
+}
+
+// The first agent after current in the fallback chain that is installed and
+// logged in. Only moves forward, so a run never cycles back to a failed agent.
+export async function findFallbackAgent(chain = [], current) {
+  for (const id of chain.slice(chain.indexOf(current) + 1)) {
+    if (id === current || !hasAgent(id)) continue;
+    const adapter = getAgent(id);
+    if (adapter.isInstalled() && (await adapter.checkAuth()).ok) return id;
+  }
+  return null;
+}
+
+export function getPromptFile(agent) {
+  return getAgent(agent).promptFile;
+}
+
+// Build the non-interactive invocation for a single prompt
+export function buildAgentCommand(agent, prompt, options) {
+  return getAgent(agent).buildCommand(prompt, options);
+}
@@ -0,0 +1,93 @@
+import { join } from "path";
+import { homedir } from "os";
+import { existsSync, readFileSync } from "fs";
+import { execSync, spawnSync } from "child_process";
+
+const PROBE_PROMPT = "Reply with the single word OK.";
+const PROBE_TIMEOUT_MS = 60 * 1000;
+
+function expandHome(path) {
+  return path.startsWith("~") ? join(homedir(), path.slice(1)) : path;
+}
+
+function displayPath(path) {
+  return path.startsWith(homedir()) ? `~${path.slice(homedir().length)}` : path;
+}
+
+// A credential file counts once it parses and has one of the expected keys
+function hasCredentialFile({ path, keys = [] }) {
+  const fullPath = expandHome(path);
+  if (!existsSync(fullPath)) return false;
+  try {
+    const contents = JSON.parse(readFileSync(fullPath, "utf-8"));
+    return keys.length === 0 || keys.some((key) => contents?.[key]);
+  } catch {
+    return false;
+  }
+}
+
+function hasKeychainEntry(service) {
+  if (process.platform !== "darwin") return false;
+  try {
+    execSync(`security find-generic-password -s "${service}"`, {
+      stdio: "pipe",
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Last resort: a throwaway prompt the agent can only answer when logged in
+function probeWithPrompt(adapter) {
+  const { command, args } = adapter.buildCommand(PROBE_PROMPT, {
+    structuredOutput: false,
+  });
+  const result = spawnSync(command, args, {
+    stdio: "pipe",
+    timeout: PROBE_TIMEOUT_MS,
+  });
+  return !result.error && result.status === 0;
+}
+
+/**
+ * Find the credential an agent will use, checking in order the env vars,
+ * credential files and macOS keychain entries its adapter declares in
+ * `auth`, then (when auth.probe is set) a test prompt. Returns
+ * { ok, source } where source says what was found, or { ok: false, checked }
+ * listing every place that was looked at.
+ */
+export function detectCredentials(adapter) {
+  const {
+    env = [],
+    files = [],
+    keychain = [],
+    probe = false,
+  } = adapter.auth || {};
+  const checked = [];
+
+  for (const name of env) {
+    if (process.env[name]) {
+      return { ok: true, source: `${name} environment variable` };
+    }
+    checked.push(`$${name}`);
+  }
+  for (const file of files) {
+    const spec = typeof file === "string" ? { path: file } : file;
+    if (hasCredentialFile(spec)) {
+      return { ok: true, source: displayPath(expandHome(spec.path)) };
+    }
+    checked.push(displayPath(expandHome(spec.path)));
+  }
+  for (const service of keychain) {
+    if (hasKeychainEntry(service)) {
+      return { ok: true, source: `macOS keychain (${service})` };
+    }
+    if (process.platform === "darwin") checked.push(`keychain: ${service}`);
+  }
+  if (probe) {
+    if (probeWithPrompt(adapter)) return { ok: true, source: "test prompt" };
+    checked.push("test prompt");
+  }
+  return { ok: false, checked };
+}
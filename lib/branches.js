@@ -0,0 +1,295 @@
+import { dirname, join } from "path";
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  writeFileSync,
+  statSync,
+  chmodSync,
+  unlinkSync,
+} from "fs";
+import { execFileSync } from "child_process";
+
+function git(cwd, args) {
+  return execFileSync("git", args, { cwd, stdio: "pipe" }).toString().trim();
+}
+
+function tryGit(cwd, args) {
+  try {
+    return git(cwd, args);
+  } catch {
+    return null;
+  }
+}
+
+export const DEFAULT_BRANCH_TEMPLATE = "{prefix}{id}-{slug}";
+
+const BRANCH_TOKENS = ["prefix", "id", "ticketId", "slug", "issue"];
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+function slugify(title, length = 30) {
+  return title
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, length)
+    .replace(/-$/, "");
+}
+
+// Throws when git.branchTemplate can't name one branch per story
+export function validateBranchTemplate(template = DEFAULT_BRANCH_TEMPLATE) {
+  const tokens = [...template.matchAll(TOKEN_PATTERN)].map((m) => m[1]);
+  const unknown = tokens.find((token) => !BRANCH_TOKENS.includes(token));
+  if (unknown) {
+    throw new Error(
+      `git.branchTemplate: unknown token {${unknown}} (use ${BRANCH_TOKENS.map((t) => `{${t}}`).join(", ")})`,
+    );
+  }
+  if (!tokens.includes("id") && !tokens.includes("ticketId")) {
+    throw new Error(
+      "git.branchTemplate must include {id} or {ticketId} so each story gets its own branch",
+    );
+  }
+}
+
+// Drop what git won't take in a branch name, and the separators an empty
+// token leaves behind
+export function cleanBranchName(name) {
+  return name
+    .replace(/[\s~^:?*[\\\x00-\x1f\x7f]+|@\{|\.{2,}/g, "-")
+    .replace(/-{2,}/g, "-")
+    .split("/")
+    .map((part) => part.replace(/^[-.]+|[-.]+$/g, "").replace(/\.lock$/, ""))
+    .filter(Boolean)
+    .join("/");
+}
+
+/**
+ * Name a story's branch from git.branchTemplate (default
+ * "{prefix}{id}-{slug}"). Tokens: {prefix} is git.branchPrefix, {id} the
+ * story id, {ticketId} its ticket number (or the id), {slug} the title in
+ * kebab-case cut to 30 characters ({slug:50} for more) and {issue} its
+ * GitHub issue number.
+ */
+export function getStoryBranchName(story, gitConfig = {}) {
+  const values = {
+    prefix: gitConfig.branchPrefix || "",
+    id: story.id,
+    ticketId: story.ticketId ?? story.id,
+    issue: story.githubIssue ?? "",
+  };
+  const template = gitConfig.branchTemplate || DEFAULT_BRANCH_TEMPLATE;
+  return cleanBranchName(
+    template.replace(TOKEN_PATTERN, (_, token, length) =>
+      token === "slug"
+        ? slugify(story.title, length ? parseInt(length) : undefined)
+        : String(values[token]),
+    ),
+  );
+}
+
+export function hasRemote(cwd, remote = "origin") {
+  return (tryGit(cwd, ["remote"]) || "").split("\n").includes(remote);
+}
+
+// A branch we can check out: a local one, or one on origin git will track
+export function branchExists(cwd, branch) {
+  return [`refs/heads/${branch}`, `refs/remotes/origin/${branch}`].some(
+    (ref) => tryGit(cwd, ["rev-parse", "--verify", "--quiet", ref]) !== null,
+  );
+}
+
+// origin's HEAD if we know it, else main or master, else whatever is checked out
+export function getDefaultBranch(cwd) {
+  const originHead = tryGit(cwd, [
+    "symbolic-ref",
+    "--short",
+    "refs/remotes/origin/HEAD",
+  ]);
+  if (originHead) return originHead.replace(/^origin\//, "");
+  return (
+    ["main", "master"].find((branch) => branchExists(cwd, branch)) ||
+    getCurrentBranch(cwd) ||
+    "main"
+  );
+}
+
+/**
+ * The branch a story starts from: the branch of the last story it depends on
+ * that has one still around and not yet merged, so dependent work builds on
+ * unmerged work, or the default branch.
+ */
+export function getStoryBaseBranch(cwd, prd, story) {
+  const stories = prd?.userStories || [];
+  const depBranches = (Array.isArray(story.dependsOn) ? story.dependsOn : [])
+    .map((id) => stories.find((s) => s.id === id))
+    .filter((dep) => dep?.branch && !dep.mergedAt)
+    .map((dep) => dep.branch)
+    .filter((branch) => branchExists(cwd, branch));
+  return depBranches.at(-1) || getDefaultBranch(cwd);
+}
+
+function ralphFilesIn(cwd, ref) {
+  const files = tryGit(cwd, [
+    "ls-tree",
+    "-r",
+    "--name-only",
+    ref,
+    "--",
+    ".ralph",
+  ]);
+  return files ? files.split("\n").filter(Boolean) : [];
+}
+
+/**
+ * Set .ralph/ aside so git can switch branches or rebase without touching
+ * it: prd.json, progress.txt and the rest belong to the run, not to
+ * whichever branch is checked out. Every .ralph/ file tracked on HEAD or on
+ * one of `refs` is saved and reset so git can't trip over it. Returns a
+ * function that puts them all back.
+ */
+export function setAsideRalphState(cwd, refs) {
+  const headFiles = ralphFilesIn(cwd, "HEAD");
+  const files = [
+    ...new Set([
+      ...headFiles,
+      ...refs.flatMap((ref) => ralphFilesIn(cwd, ref)),
+    ]),
+  ];
+  const saved = new Map(
+    files.map((file) => {
+      const path = join(cwd, file);
+      return [
+        file,
+        existsSync(path)
+          ? { contents: readFileSync(path), mode: statSync(path).mode }
+          : null,
+      ];
+    }),
+  );
+
+  if (headFiles.length > 0) git(cwd, ["checkout", "HEAD", "--", ...headFiles]);
+  for (const file of files.filter((f) => !headFiles.includes(f))) {
+    if (existsSync(join(cwd, file))) unlinkSync(join(cwd, file));
+  }
+  return () => {
+    for (const [file, copy] of saved) {
+      const path = join(cwd, file);
+      if (!copy) {
+        if (existsSync(path)) unlinkSync(path);
+      } else if (
+        !existsSync(path) ||
+        !readFileSync(path).equals(copy.contents)
+      ) {
+        mkdirSync(dirname(path), { recursive: true });
+        writeFileSync(path, copy.contents);
+        // ralph.sh has to stay executable
+        chmodSync(path, copy.mode);
+      }
+    }
+  };
+}
+
+// Switch branches with .ralph/ set aside, putting it back even if that fails
+export function carryRalphState(cwd, refs, switchBranch) {
+  const restore = setAsideRalphState(cwd, refs);
+  try {
+    return switchBranch();
+  } finally {
+    restore();
+  }
+}
+
+/**
+ * Check out the branch a story's work goes on, creating it from its base
+ * branch (see getStoryBaseBranch) the first time, brought up to what was
+ * last fetched from origin - fetching is left to the caller, as it needs
+ * credentials the sandbox doesn't have (see host.js). With git.useXgit the
+ * branch is made by `xgit b`, which names it by its own rules - the name is
+ * whatever it checked out - falling back to plain git if that fails.
+ * Returns { branch, base, created, notes }, notes being things worth telling
+ * the user that didn't stop the checkout. Throws if git can't switch.
+ */
+export function checkoutStoryBranch(cwd, prd, story, gitConfig = {}) {
+  const notes = [];
+  let branch = story.branch || getStoryBranchName(story, gitConfig);
+  if (branchExists(cwd, branch)) {
+    carryRalphState(cwd, [branch, `origin/${branch}`], () =>
+      git(cwd, ["checkout", branch]),
+    );
+    return { branch, base: null, created: false, notes };
+  }
+
+  const base = getStoryBaseBranch(cwd, prd, story);
+  carryRalphState(cwd, [base], () => {
+    git(cwd, ["checkout", base]);
+    if (
+      getBranchTip(cwd, `origin/${base}`) &&
+      tryGit(cwd, ["merge", "--ff-only", `origin/${base}`]) === null
+    ) {
+      notes.push(
+        `Couldn't fast-forward ${base} to origin/${base}; branching from the local copy`,
+      );
+    }
+    if (gitConfig.useXgit) {
+      try {
+        execFileSync(
+          "xgit",
+          ["b", String(story.ticketId ?? story.id), story.title],
+          { cwd, stdio: "pipe" },
+        );
+        const created = getCurrentBranch(cwd);
+        if (created && created !== base) {
+          branch = created;
+          return;
+        }
+        notes.push("xgit didn't check out a new branch, falling back to git");
+      } catch {
+        notes.push("xgit failed, falling back to git");
+      }
+    }
+    git(cwd, ["checkout", "-b", branch]);
+  });
+  return { branch, base, created: true, notes };
+}
+
+export function getBranchTip(cwd, ref) {
+  return tryGit(cwd, ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]);
+}
+
+/**
+ * Move `branch`'s own commits - those after `upstream` - onto `onto`, like
+ * `git rebase --onto`. Without an upstream every commit not already on
+ * `onto` is replayed. A conflicting rebase is aborted rather than left
+ * half-done.
+ */
+export function rebaseBranch(cwd, branch, { onto, upstream }) {
+  try {
+    git(cwd, ["checkout", branch]);
+    // Pick up anything pushed to the branch since, e.g. review fixes
+    tryGit(cwd, ["merge", "--ff-only", `origin/${branch}`]);
+    git(
+      cwd,
+      upstream ? ["rebase", "--onto", onto, upstream] : ["rebase", onto],
+    );
+    return { rebased: true };
+  } catch (err) {
+    tryGit(cwd, ["rebase", "--abort"]);
+    return {
+      rebased: false,
+      error: err.stderr?.toString().trim() || err.message,
+    };
+  }
+}
+
+export function fetchOrigin(cwd) {
+  git(cwd, ["fetch", "origin"]);
+}
+
+export function switchBranch(cwd, branch) {
+  git(cwd, ["checkout", branch]);
+}
+
+export function getCurrentBranch(cwd) {
+  return tryGit(cwd, ["branch", "--show-current"]);
+}
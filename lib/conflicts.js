@@ -0,0 +1,181 @@
+import { join } from "path";
+import { existsSync, readFileSync } from "fs";
+import { exec, execFileSync } from "child_process";
+import { promisify } from "util";
+
+const execAsync = promisify(exec);
+
+// Commits in one rebase that may each stop on conflicts before we give up
+export const MAX_CONFLICT_ROUNDS = 10;
+
+function git(cwd, args) {
+  return execFileSync("git", args, { cwd, stdio: "pipe" }).toString().trim();
+}
+
+function gitError(err) {
+  return err.stderr?.toString().trim() || err.message;
+}
+
+// Whether `onto` is already part of HEAD's history
+export function isBasedOn(cwd, onto) {
+  try {
+    git(cwd, ["merge-base", "--is-ancestor", onto, "HEAD"]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function isRebaseInProgress(cwd) {
+  return ["rebase-merge", "rebase-apply"].some((dir) =>
+    existsSync(join(cwd, git(cwd, ["rev-parse", "--git-path", dir]))),
+  );
+}
+
+export function getConflictedFiles(cwd) {
+  return git(cwd, ["diff", "--name-only", "--diff-filter=U"])
+    .split("\n")
+    .filter(Boolean);
+}
+
+export function hasConflictMarkers(cwd, files) {
+  return files.filter((file) => {
+    const path = join(cwd, file);
+    return (
+      existsSync(path) && /^(<{7}|>{7})( |$)/m.test(readFileSync(path, "utf-8"))
+    );
+  });
+}
+
+// Where a rebase stands after git has had a go: "done", or "conflict" with
+// the files git couldn't merge. Ralph's own state under .ralph/ never needs
+// the agent - the run's copy is put back afterwards - so those conflicts are
+// settled here with the story's side.
+function rebaseState(cwd) {
+  if (!isRebaseInProgress(cwd)) return { status: "done", files: [] };
+  const conflicted = getConflictedFiles(cwd);
+  const ralphFiles = conflicted.filter((f) => f.startsWith(".ralph/"));
+  for (const file of ralphFiles) {
+    try {
+      git(cwd, ["checkout", "--theirs", "--", file]);
+      git(cwd, ["add", "--", file]);
+    } catch {
+      // Deleted on one side - drop it; the run's copy comes back later
+      git(cwd, ["rm", "--cached", "--ignore-unmatch", "--quiet", "--", file]);
+    }
+  }
+  const files = conflicted.filter((f) => !f.startsWith(".ralph/"));
+  if (files.length > 0) return { status: "conflict", files };
+  if (ralphFiles.length > 0) return continueRebase(cwd);
+
+  // Stopped with nothing to merge: a commit whose changes are already on the
+  // new base has nothing left to apply
+  try {
+    git(cwd, ["diff", "--cached", "--quiet"]);
+  } catch {
+    return continueRebase(cwd);
+  }
+  try {
+    git(cwd, ["rebase", "--skip"]);
+  } catch {
+    // Stopped again, checked below
+  }
+  return rebaseState(cwd);
+}
+
+/**
+ * Rebase the checked-out branch onto `onto`. Returns { status, files }:
+ * "up-to-date" when onto is already in its history, "done", "conflict"
+ * (rebase left in progress, files to resolve) or "error" with git's message
+ * when it couldn't start, e.g. because of uncommitted changes.
+ */
+export function startRebase(cwd, onto) {
+  if (isBasedOn(cwd, onto)) return { status: "up-to-date", files: [] };
+  try {
+    git(cwd, ["rebase", onto]);
+    return { status: "done", files: [] };
+  } catch (err) {
+    if (!isRebaseInProgress(cwd)) {
+      return { status: "error", files: [], error: gitError(err) };
+    }
+    return rebaseState(cwd);
+  }
+}
+
+// Carry on once the conflicts are resolved and staged; may stop again on a
+// later commit
+export function continueRebase(cwd) {
+  try {
+    execFileSync("git", ["-c", "core.editor=true", "rebase", "--continue"], {
+      cwd,
+      stdio: "pipe",
+    });
+  } catch {
+    // Stopped on the next commit's conflicts, checked below
+  }
+  return rebaseState(cwd);
+}
+
+// Give up: back to the branch as it was before the rebase
+export function abortRebase(cwd, tip) {
+  try {
+    if (isRebaseInProgress(cwd)) git(cwd, ["rebase", "--abort"]);
+    git(cwd, ["reset", "--hard", tip]);
+  } catch {
+    // Already back
+  }
+}
+
+/**
+ * Run the project's config.qualityChecks commands in order, stopping at the
+ * first that fails. Resolves with null when they all pass, else
+ * { command, output }. Asynchronous so the run's lock heartbeat (see
+ * state.js) keeps going through a long test suite.
+ */
+export async function runQualityChecks(cwd, commands = []) {
+  for (const command of commands) {
+    try {
+      await execAsync(command, {
+        cwd,
+        timeout: 30 * 60000,
+        maxBuffer: 64 * 1024 * 1024,
+      });
+    } catch (err) {
+      const output = `${err.stdout || ""}${err.stderr || ""}`.trim();
+      return { command, output: output || err.message };
+    }
+  }
+  return null;
+}
+
+export function buildConflictPrompt(story, { base, files, qualityChecks }) {
+  const { id, title, description, acceptanceCriteria } = story;
+  const checks = qualityChecks?.length
+    ? qualityChecks.map((c) => `\`${c}\``).join(", ")
+    : "typecheck, lint, test - whatever the project uses";
+  return `# Resolve Rebase Conflicts
+
+Ralph is rebasing the branch for story ${id} onto \`${base}\`, which has moved on since the story branched from it, and git stopped on conflicts. Resolve them so the story still does what it set out to do on top of the new \`${base}\`.
+
+## The Story
+
+\`\`\`json
+${JSON.stringify({ id, title, description, acceptanceCriteria }, null, 2)}
+\`\`\`
+
+## Conflicted Files
+
+${files.map((f) => `- \`${f}\``).join("\n")}
+
+## Steps
+
+1. For each file, work out what both sides meant: \`git diff\` shows the conflict, \`git show REBASE_HEAD\` the story commit being replayed, \`git log -p ORIG_HEAD..${base}\` what changed on \`${base}\`
+2. Edit the files to keep both intents and remove every conflict marker
+3. Run the quality checks (${checks}) and fix anything the merge broke
+4. Stage the resolved files with \`git add\`
+
+Do NOT run \`git rebase --continue\`, \`--skip\` or \`--abort\`, commit, or switch branches - Ralph does that. Leave \`.ralph/\` alone.
+
+If the conflicts can't be resolved without breaking the story's acceptance criteria, leave those files unstaged and explain why.
+`;
+}
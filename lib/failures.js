@@ -0,0 +1,48 @@
+export const TRANSIENT_FAILURES = ["rate-limit", "overloaded", "network"];
+
+// Consecutive failures before the loop moves on to config.agentFallbacks
+export const DEFAULT_FALLBACK_AFTER_FAILURES = 3;
+
+export const DEFAULT_BACKOFF_CONFIG = {
+  initialSeconds: 30,
+  maxSeconds: 900,
+  maxRetries: 8,
+};
+
+// Failures the runner caused by killing the agent (see stall.js and the
+// deadlines in loop.js) rather than ones the agent ran into
+const WATCHDOG_FAILURES = ["stall", "timeout"];
+
+/**
+ * Classify how an agent invocation failed: "stall" or "timeout" when the
+ * runner killed it, otherwise "auth", "rate-limit", "overloaded", "network"
+ * or "crash". Returns null when it didn't fail.
+ */
+export function classifyFailure({ parsed, exitCode, stall, timedOut }) {
+  if (stall) return "stall";
+  if (timedOut) return "timeout";
+  if (parsed?.error && parsed.error.kind !== "error") {
+    return parsed.error.kind;
+  }
+  if (parsed?.error || exitCode !== 0) return "crash";
+  return null;
+}
+
+export function isTransientFailure(kind) {
+  return TRANSIENT_FAILURES.includes(kind);
+}
+
+// A stalled or timed-out iteration says nothing about whether the agent
+// works, so only the others count towards switching to a fallback
+export function countsTowardFallback(kind) {
+  return Boolean(kind) && !WATCHDOG_FAILURES.includes(kind);
+}
+
+// Exponential backoff for the nth consecutive transient failure (from 1)
+export function getBackoffSeconds(retry, backoff = {}) {
+  const { initialSeconds, maxSeconds } = {
+    ...DEFAULT_BACKOFF_CONFIG,
+    ...backoff,
+  };
+  return Math.min(initialSeconds * 2 ** (retry - 1), maxSeconds);
+}
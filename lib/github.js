@@ -0,0 +1,94 @@
+import { execFileSync } from "child_process";
+
+// Run a command, turning a failure into an Error carrying its stderr
+function run(cwd, command, args) {
+  try {
+    return execFileSync(command, args, { cwd, stdio: "pipe" })
+      .toString()
+      .trim();
+  } catch (err) {
+    throw new Error(err.stderr?.toString().trim() || err.message);
+  }
+}
+
+function pullRequestNumber(text) {
+  const match = text.match(/\/pull\/(\d+)/);
+  return match ? parseInt(match[1]) : null;
+}
+
+export function buildPullRequestBody(story, { stackedOn } = {}) {
+  const closes = story.githubIssue ? `Closes #${story.githubIssue}\n\n` : "";
+  const stacked = stackedOn
+    ? `Stacked on #${stackedOn} - merge that first; \`ralph gh restack\` then retargets this PR.\n\n`
+    : "";
+  return `${closes}${stacked}## Summary
+${story.description || story.title}
+
+## Acceptance Criteria
+${(story.acceptanceCriteria || []).map((ac) => `- [x] ${ac}`).join("\n")}
+`;
+}
+
+// force replaces a branch whose history was rewritten by a rebase, unless
+// someone else pushed to it since we last fetched
+export function pushBranch(cwd, branch, { force = false } = {}) {
+  run(cwd, "git", [
+    "push",
+    ...(force ? ["--force-with-lease"] : []),
+    "-u",
+    "origin",
+    branch,
+  ]);
+}
+
+// { state: "OPEN" | "CLOSED" | "MERGED", mergedAt, baseRefName, headRefName }
+export function getPullRequest(cwd, number) {
+  return JSON.parse(
+    run(cwd, "gh", [
+      "pr",
+      "view",
+      String(number),
+      "--json",
+      "state,mergedAt,baseRefName,headRefName",
+    ]),
+  );
+}
+
+export function setPullRequestBase(cwd, number, base) {
+  run(cwd, "gh", ["pr", "edit", String(number), "--base", base]);
+}
+
+/**
+ * Push a story's branch and open its pull request against `base` with gh;
+ * `stackedOn` is the number of the PR that base belongs to, when the story
+ * is stacked on another story's branch. Returns the PR number. A PR that
+ * already exists for the branch (say from a run that stopped before
+ * recording it) is returned rather than treated as a failure.
+ */
+export function createPullRequest(cwd, story, { base, stackedOn }) {
+  // Forced, as the branch may have been rebased since an earlier push
+  pushBranch(cwd, story.branch, { force: true });
+  try {
+    const url = run(cwd, "gh", [
+      "pr",
+      "create",
+      "--head",
+      story.branch,
+      "--base",
+      base,
+      "--title",
+      `${story.id}: ${story.title}`,
+      "--body",
+      buildPullRequestBody(story, { stackedOn }),
+    ]);
+    const number = pullRequestNumber(url);
+    if (!number) throw new Error(`gh didn't return a PR URL: ${url}`);
+    return number;
+  } catch (err) {
+    const existing = /already exists/.test(err.message)
+      ? pullRequestNumber(err.message)
+      : null;
+    if (existing) return existing;
+    throw err;
+  }
+}
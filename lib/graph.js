@@ -0,0 +1,231 @@
+import chalk from "chalk";
+import { getReadyStories } from "./prd.js";
+
+export const GRAPH_FORMATS = ["ascii", "mermaid", "dot"];
+
+const STATE_STYLES = {
+  passed: { symbol: "✓", color: chalk.green, fill: "#d4edda" },
+  blocked: { symbol: "⊘", color: chalk.red, fill: "#f8d7da" },
+  ready: { symbol: "▶", color: chalk.cyan, fill: "#cce5ff" },
+  merging: { symbol: "⧗", color: chalk.magenta, fill: "#e8daef" },
+  waiting: { symbol: "○", color: chalk.gray, fill: "#e2e3e5" },
+  missing: { symbol: "?", color: chalk.yellow, fill: "#fff3cd" },
+};
+
+function dependsOn(story) {
+  return Array.isArray(story.dependsOn) ? story.dependsOn : [];
+}
+
+// passed, merging (passed, its PR not merged yet), blocked, ready (the
+// runner could pick it now) or waiting
+export function getStoryStates(prd) {
+  const ready = new Set(getReadyStories(prd).map((s) => s.id));
+  return new Map(
+    (prd?.userStories || []).map((s) => [
+      s.id,
+      s.passes
+        ? s.awaitingMerge
+          ? "merging"
+          : "passed"
+        : s.blocked
+          ? "blocked"
+          : ready.has(s.id)
+            ? "ready"
+            : "waiting",
+    ]),
+  );
+}
+
+// Every dependency cycle once, as a path that ends where it started
+function findCycles(stories) {
+  const byId = new Map(stories.map((s) => [s.id, s]));
+  const visiting = [];
+  const done = new Set();
+  const cycles = [];
+
+  const visit = (id) => {
+    const start = visiting.indexOf(id);
+    if (start !== -1) {
+      cycles.push([...visiting.slice(start), id]);
+      return;
+    }
+    if (done.has(id) || !byId.has(id)) return;
+    visiting.push(id);
+    dependsOn(byId.get(id)).forEach(visit);
+    visiting.pop();
+    done.add(id);
+  };
+  stories.forEach((s) => visit(s.id));
+  return cycles;
+}
+
+/**
+ * Problems with the PRD's dependsOn graph. errors stop the loop from ever
+ * finishing (duplicate ids, unknown ids, cycles); warnings are stories that
+ * can't start until someone unblocks what they depend on.
+ */
+export function checkDependencies(prd) {
+  const stories = prd?.userStories || [];
+  const ids = new Set();
+  const errors = [];
+  const warnings = [];
+
+  for (const story of stories) {
+    if (ids.has(story.id)) errors.push(`Duplicate story id ${story.id}`);
+    ids.add(story.id);
+  }
+  for (const story of stories) {
+    if (story.dependsOn !== undefined && !Array.isArray(story.dependsOn)) {
+      errors.push(`${story.id}: dependsOn must be an array of story ids`);
+    }
+    for (const dep of dependsOn(story)) {
+      if (!ids.has(dep)) {
+        errors.push(`${story.id} depends on unknown story ${dep}`);
+      }
+    }
+  }
+  for (const cycle of findCycles(stories)) {
+    errors.push(`Dependency cycle: ${cycle.join(" → ")}`);
+  }
+
+  const blocked = new Set(stories.filter((s) => s.blocked).map((s) => s.id));
+  for (const story of stories) {
+    if (story.passes || story.blocked) continue;
+    for (const dep of dependsOn(story).filter((id) => blocked.has(id))) {
+      warnings.push(`${story.id} waits on blocked story ${dep}`);
+    }
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Terminal view of the graph: each story is listed under the stories it
+ * depends on. A story with several dependencies is drawn under the first and
+ * referenced (↑) under the rest.
+ */
+export function renderAscii(prd) {
+  const stories = prd?.userStories || [];
+  const states = getStoryStates(prd);
+  const known = new Set(stories.map((s) => s.id));
+  const dependents = new Map();
+  for (const story of stories) {
+    for (const dep of dependsOn(story).filter((id) => known.has(id))) {
+      dependents.set(dep, [...(dependents.get(dep) || []), story]);
+    }
+  }
+
+  const lines = [];
+  const drawn = new Set();
+  const draw = (story, prefix, connector, childPrefix) => {
+    const { symbol, color } = STATE_STYLES[states.get(story.id)];
+    if (drawn.has(story.id)) {
+      lines.push(chalk.gray(`${prefix}${connector}↑ ${story.id}`));
+      return;
+    }
+    drawn.add(story.id);
+    const unknown = dependsOn(story).filter((id) => !known.has(id));
+    const note = unknown.length
+      ? chalk.yellow(` (unknown: ${unknown.join(", ")})`)
+      : "";
+    lines.push(
+      `${prefix}${connector}${color(`${symbol} ${story.id}`)}: ${story.title}${note}`,
+    );
+    const children = dependents.get(story.id) || [];
+    children.forEach((child, i) => {
+      const last = i === children.length - 1;
+      draw(
+        child,
+        prefix + childPrefix,
+        last ? "└── " : "├── ",
+        last ? "    " : "│   ",
+      );
+    });
+  };
+
+  // Roots first; whatever is left is only reachable through a cycle
+  stories
+    .filter((s) => !dependsOn(s).some((id) => known.has(id)))
+    .forEach((s) => draw(s, "  ", "", ""));
+  for (const story of stories) {
+    if (!drawn.has(story.id)) draw(story, "  ", "", "");
+  }
+
+  const legend = Object.entries(STATE_STYLES)
+    .filter(([state]) => state !== "missing")
+    .map(([state, { symbol, color }]) => color(`${symbol} ${state}`))
+    .join("  ");
+  return [...lines, "", `  ${legend}`].join("\n");
+}
+
+function edges(prd) {
+  return (prd?.userStories || []).flatMap((s) =>
+    dependsOn(s).map((dep) => [dep, s.id]),
+  );
+}
+
+function missingIds(prd) {
+  const known = new Set((prd?.userStories || []).map((s) => s.id));
+  return [
+    ...new Set(
+      edges(prd)
+        .map(([dep]) => dep)
+        .filter((id) => !known.has(id)),
+    ),
+  ];
+}
+
+// Mermaid flowchart, dependencies pointing at the stories that need them
+export function renderMermaid(prd) {
+  const states = getStoryStates(prd);
+  const nodeId = (id) => String(id).replace(/\W/g, "_");
+  const label = (text) => String(text).replace(/"/g, "#quot;");
+  const lines = ["graph TD"];
+  for (const story of prd?.userStories || []) {
+    lines.push(
+      `  ${nodeId(story.id)}["${label(`${story.id}: ${story.title}`)}"]:::${states.get(story.id)}`,
+    );
+  }
+  for (const id of missingIds(prd)) {
+    lines.push(`  ${nodeId(id)}["${label(`${id} (missing)`)}"]:::missing`);
+  }
+  for (const [from, to] of edges(prd)) {
+    lines.push(`  ${nodeId(from)} --> ${nodeId(to)}`);
+  }
+  for (const [state, { fill }] of Object.entries(STATE_STYLES)) {
+    lines.push(`  classDef ${state} fill:${fill}`);
+  }
+  return lines.join("\n");
+}
+
+// Graphviz DOT, e.g. `ralph prd graph --format dot | dot -Tsvg > prd.svg`
+export function renderDot(prd) {
+  const states = getStoryStates(prd);
+  const quote = (text) => JSON.stringify(String(text));
+  const lines = [
+    "digraph prd {",
+    "  rankdir=LR;",
+    '  node [shape=box, style="rounded,filled"];',
+  ];
+  for (const story of prd?.userStories || []) {
+    const { fill } = STATE_STYLES[states.get(story.id)];
+    lines.push(
+      `  ${quote(story.id)} [label=${quote(`${story.id}\n${story.title}`)}, fillcolor="${fill}"];`,
+    );
+  }
+  for (const id of missingIds(prd)) {
+    lines.push(
+      `  ${quote(id)} [label=${quote(`${id}\n(missing)`)}, style="dashed", fillcolor="${STATE_STYLES.missing.fill}"];`,
+    );
+  }
+  for (const [from, to] of edges(prd)) {
+    lines.push(`  ${quote(from)} -> ${quote(to)};`);
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+
+export function renderGraph(prd, format = "ascii") {
+  if (format === "mermaid") return renderMermaid(prd);
+  if (format === "dot") return renderDot(prd);
+  return renderAscii(prd);
+}
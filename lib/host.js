@@ -0,0 +1,139 @@
+import { join, dirname } from "path";
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  readdirSync,
+  unlinkSync,
+  writeFileSync,
+} from "fs";
+import { fetchOrigin } from "./branches.js";
+import { createPullRequest, getPullRequest } from "./github.js";
+import { writeJsonAtomic } from "./state.js";
+
+// How often each side looks for the other's files, how long a request may
+// sit before we decide nobody is serving them, and how long one may run
+const HOST_POLL_MS = 500;
+const HOST_PICKUP_MS = 30000;
+const HOST_TIMEOUT_MS = 10 * 60000;
+
+/**
+ * The loop's work that needs the user's git and GitHub credentials:
+ * fetching, pushing and opening PRs, and asking GitHub about them.
+ */
+const OPERATIONS = {
+  fetch: (cwd) => fetchOrigin(cwd),
+  "create-pull-request": (cwd, { story, base, stackedOn }) =>
+    createPullRequest(cwd, story, { base, stackedOn }),
+  "get-pull-request": (cwd, { number }) => getPullRequest(cwd, number),
+};
+
+export function runHostOperation(cwd, op, args = {}) {
+  const operation = OPERATIONS[op];
+  if (!operation) throw new Error(`Unknown host operation: ${op}`);
+  return operation(cwd, args) ?? null;
+}
+
+function getHostDir(ralphDir) {
+  const dir = join(ralphDir, "host");
+  mkdirSync(dir, { recursive: true });
+  // Agents commit with `git add -A`
+  if (!existsSync(join(dir, ".gitignore"))) {
+    writeFileSync(join(dir, ".gitignore"), "*\n");
+  }
+  return dir;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+let requestCount = 0;
+
+// Leave a request for `ralph run` on the host and wait for its answer
+async function requestFromHost(ralphDir, op, args, { pickupMs, timeoutMs }) {
+  const dir = getHostDir(ralphDir);
+  const id = `${process.pid}-${Date.now()}-${++requestCount}`;
+  const requestPath = join(dir, `${id}.request.json`);
+  const responsePath = join(dir, `${id}.response.json`);
+  writeJsonAtomic(requestPath, { id, op, args });
+
+  const startedAt = Date.now();
+  while (!existsSync(responsePath)) {
+    const waited = Date.now() - startedAt;
+    const unclaimed = existsSync(requestPath);
+    if ((unclaimed && waited > pickupMs) || waited > timeoutMs) {
+      if (unclaimed) unlinkSync(requestPath);
+      throw new Error(
+        unclaimed
+          ? `Nothing on the host answered (${op}). Start the loop with \`ralph run\`, which does git and GitHub work outside the sandbox.`
+          : `The host didn't finish ${op} within ${timeoutMs / 60000} minutes`,
+      );
+    }
+    await sleep(HOST_POLL_MS);
+  }
+  const response = JSON.parse(readFileSync(responsePath, "utf-8"));
+  unlinkSync(responsePath);
+  if (response.error) throw new Error(response.error);
+  return response.result;
+}
+
+/**
+ * Where the loop's git and GitHub work runs. Inside sandy (`bridged`, see
+ * serveHostRequests) it's handed to `ralph run` on the host, so the sandbox
+ * needs no gh login or push rights; run directly, the loop does it itself.
+ * call(op, args) resolves with the operation's result. pickupMs and
+ * timeoutMs bound how long a bridged request waits to be picked up and to
+ * be answered.
+ */
+export function createHostClient(
+  ralphDir,
+  {
+    bridged = false,
+    pickupMs = HOST_PICKUP_MS,
+    timeoutMs = HOST_TIMEOUT_MS,
+  } = {},
+) {
+  return {
+    bridged,
+    call: async (op, args = {}) =>
+      bridged
+        ? requestFromHost(ralphDir, op, args, { pickupMs, timeoutMs })
+        : runHostOperation(dirname(ralphDir), op, args),
+  };
+}
+
+/**
+ * Answer the requests a bridged loop leaves under .ralph/host/, running them
+ * here with the user's credentials. `ralph run` serves them for as long as
+ * the sandbox runs. Returns a function that stops serving.
+ */
+export function serveHostRequests(ralphDir) {
+  const dir = getHostDir(ralphDir);
+  const cwd = dirname(ralphDir);
+  // Left by an earlier run that was killed
+  for (const file of readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+    unlinkSync(join(dir, file));
+  }
+
+  const timer = setInterval(() => {
+    for (const file of readdirSync(dir)) {
+      if (!file.endsWith(".request.json")) continue;
+      let request;
+      try {
+        request = JSON.parse(readFileSync(join(dir, file), "utf-8"));
+        unlinkSync(join(dir, file));
+      } catch {
+        continue;
+      }
+      let response;
+      try {
+        response = { result: runHostOperation(cwd, request.op, request.args) };
+      } catch (err) {
+        response = { error: err.message };
+      }
+      writeJsonAtomic(join(dir, `${request.id}.response.json`), response);
+    }
+  }, HOST_POLL_MS);
+  return () => clearInterval(timer);
+}
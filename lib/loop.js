@@ -0,0 +1,1366 @@
+import { join } from "path";
+import { existsSync, readFileSync, writeFileSync, createWriteStream } from "fs";
+import { spawn } from "child_process";
+import { StringDecoder } from "string_decoder";
+import chalk from "chalk";
+import ora from "ora";
+import {
+  getAgent,
+  getPromptFile,
+  buildAgentCommand,
+  findFallbackAgent,
+  COMPLETION_PROMISE,
+} from "./agents.js";
+import {
+  readPrd,
+  getRemainingStories,
+  getBlockedStories,
+  hasOnlyBlockedStories,
+  isPrdComplete,
+  getNextStory,
+  getPassedIds,
+  getChangedStoryIds,
+  writePrd,
+  recordStoryAttempt,
+  getReadyStories,
+  restoreOtherStories,
+  restoreIfInvalid,
+  syncActivePrd,
+  DEFAULT_MAX_ATTEMPTS_PER_STORY,
+} from "./prd.js";
+import { checkDependencies } from "./graph.js";
+import { acquireLock } from "./state.js";
+import {
+  checkoutStoryBranch,
+  getDefaultBranch,
+  getBranchTip,
+  hasRemote,
+  setAsideRalphState,
+} from "./branches.js";
+import {
+  MAX_CONFLICT_ROUNDS,
+  startRebase,
+  continueRebase,
+  abortRebase,
+  getConflictedFiles,
+  hasConflictMarkers,
+  isBasedOn,
+  runQualityChecks,
+  buildConflictPrompt,
+} from "./conflicts.js";
+import { createHostClient } from "./host.js";
+import {
+  DEFAULT_MERGE_POLL,
+  getAwaitingMerge,
+  checkAwaitingMerges,
+} from "./merges.js";
+import {
+  createRun,
+  startIteration,
+  recordIteration,
+  finishRun,
+  getGitHead,
+  resumeRun,
+  markRunInterrupted,
+  getLastCompletedIteration,
+  recordTransientFailure,
+  recordAgentSwitch,
+} from "./runlog.js";
+import {
+  resolveStallConfig,
+  createStallWatchdog,
+  detectNoProgress,
+} from "./stall.js";
+import { createOutputParser, formatEvent } from "./output.js";
+import { addUsage, emptyUsage, checkBudget, formatUsage } from "./usage.js";
+import {
+  classifyFailure,
+  isTransientFailure,
+  countsTowardFallback,
+  getBackoffSeconds,
+  DEFAULT_BACKOFF_CONFIG,
+  DEFAULT_FALLBACK_AFTER_FAILURES,
+} from "./failures.js";
+
+const STALE_WARNING_MS = 3 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const min = Math.floor(seconds / 60);
+  const sec = String(seconds % 60).padStart(2, "0");
+  return `${min}m ${sec}s`;
+}
+
+export function hasCompletionPromise(output) {
+  return output.includes(COMPLETION_PROMISE);
+}
+
+// Keep the head and tail of long output so the terminal stays readable
+export function summarizeOutput(output, { maxLines = 40, keep = 15 } = {}) {
+  const lines = output.replace(/\n$/, "").split("\n");
+  if (lines.length <= maxLines) return lines.join("\n");
+  return [
+    ...lines.slice(0, keep),
+    "",
+    `  ... (${lines.length - keep * 2} lines omitted) ...`,
+    "",
+    ...lines.slice(-keep),
+  ].join("\n");
+}
+
+// Agents currently running, so an interrupt can take them down with us
+const activeAgents = new Set();
+
+// Spawn one agent invocation, parsing stdout/stderr as it streams in (see
+// output.js) and showing the agent's latest tool call in the spinner, or
+// passing the spinner text to onProgress when something else draws it.
+// When outputPath is given the output is also teed there as it arrives.
+// The agent is killed once a stall watchdog (see stall.js) reports a stall
+// or the deadline (a timestamp) passes. model and flags come from the
+// agent's role (see roles.js).
+export function runAgent(
+  agent,
+  prompt,
+  {
+    cwd = process.cwd(),
+    label,
+    outputPath,
+    watchdog,
+    deadline,
+    model,
+    flags,
+    onProgress,
+  } = {},
+) {
+  const { command, args } = buildAgentCommand(agent, prompt, { model, flags });
+  const startedAt = Date.now();
+  const spinner = onProgress
+    ? createProgressReporter(onProgress)
+    : ora(label).start();
+  let warned = false;
+  let child;
+  let stall = null;
+  let timedOut = false;
+  let activity = "";
+
+  const ticker = setInterval(() => {
+    const elapsed = Date.now() - startedAt;
+    spinner.text = `${label}... (${formatElapsed(elapsed)})${activity}`;
+    if (elapsed > STALE_WARNING_MS && !warned) {
+      warned = true;
+      spinner.warn("Running for 3+ min. If hung, ctrl+c to skip.");
+      spinner.start();
+    }
+    if (stall || timedOut) return;
+    if (deadline && Date.now() > deadline) {
+      timedOut = true;
+      killAgent(child);
+    } else if (watchdog) {
+      stall = watchdog.check();
+      if (stall) killAgent(child);
+    }
+  }, 200);
+
+  return new Promise((resolve) => {
+    const chunks = [];
+    const log = outputPath ? createWriteStream(outputPath) : null;
+    const parser = createOutputParser(agent);
+    const collect = (decoder, push) => (chunk) => {
+      chunks.push(chunk);
+      log?.write(chunk);
+      watchdog?.onOutput();
+      const tool = push(decoder.write(chunk))
+        .filter((e) => e.type === "tool")
+        .pop();
+      if (tool) activity = chalk.gray(` ${formatEvent(tool)}`);
+    };
+    // Own process group, so killing the agent also kills whatever it spawned
+    child = spawn(command, args, {
+      cwd,
+      stdio: ["ignore", "pipe", "pipe"],
+      detached: true,
+    });
+    activeAgents.add(child);
+
+    child.stdout.on("data", collect(new StringDecoder("utf8"), parser.push));
+    child.stderr.on(
+      "data",
+      collect(new StringDecoder("utf8"), parser.pushStderr),
+    );
+
+    // A failed spawn emits "error" and then "close"
+    let done = false;
+    const finish = (exitCode, error) => {
+      if (done) return;
+      done = true;
+      clearInterval(ticker);
+      activeAgents.delete(child);
+      log?.end();
+      const durationMs = Date.now() - startedAt;
+      if (error) {
+        spinner.fail(`${error.message} (${formatElapsed(durationMs)})`);
+      } else if (stall) {
+        spinner.fail(`Stalled: ${stall.detail} (${formatElapsed(durationMs)})`);
+      } else if (timedOut) {
+        spinner.fail(`Timed out (${formatElapsed(durationMs)})`);
+      } else {
+        spinner.succeed(`Done (${formatElapsed(durationMs)})`);
+      }
+      resolve({
+        output: Buffer.concat(chunks).toString("utf-8"),
+        parsed: parser.finish({ exitCode }),
+        exitCode,
+        durationMs,
+        stall,
+        timedOut,
+      });
+    };
+
+    child.on("error", (err) => finish(null, err));
+    child.on("close", (code) => finish(code));
+  });
+}
+
+// Just enough of ora's interface for runAgent
+function createProgressReporter(onProgress) {
+  return {
+    set text(text) {
+      onProgress(text);
+    },
+    start() {},
+    warn() {},
+    fail(text) {
+      onProgress(chalk.red(`✖ ${text}`));
+    },
+    succeed(text) {
+      onProgress(chalk.green(`✔ ${text}`));
+    },
+  };
+}
+
+function killProcessTree(child, signal) {
+  try {
+    process.kill(-child.pid, signal);
+  } catch {
+    // Group already gone - make sure the agent itself is too
+    child.kill(signal);
+  }
+}
+
+function killAgent(child) {
+  killProcessTree(child, "SIGTERM");
+  // Escalate if the agent ignores SIGTERM
+  setTimeout(() => {
+    if (child.exitCode === null && child.signalCode === null) {
+      killProcessTree(child, "SIGKILL");
+    }
+  }, 5000).unref();
+}
+
+// Fallback agents may read a different prompt file (CLAUDE.md vs prompt.md)
+function ensurePromptFile(ralphDir, agent, currentPromptPath) {
+  const promptPath = join(ralphDir, getPromptFile(agent));
+  if (!existsSync(promptPath)) {
+    writeFileSync(promptPath, readFileSync(currentPromptPath, "utf-8"));
+  }
+  return promptPath;
+}
+
+export function describeAgent(agent, { model }) {
+  return model ? `${getAgent(agent).name} (${model})` : getAgent(agent).name;
+}
+
+// The runner picks the story (see getNextStory) and hands the agent all of
+// it; extra adds mode-specific instructions
+export function withStoryAssignment(prompt, story, extra = "") {
+  const previousFailure = story.lastFailureNote
+    ? `\nA previous attempt failed: ${story.lastFailureNote}\nAddress that first.\n`
+    : "";
+  return `## This Iteration's Story
+
+Ralph has chosen **${story.id}: ${story.title}** for this iteration. Work on
+this story only, and in \`.ralph/prd.json\` change only its entry.
+${previousFailure}${extra}
+\`\`\`json
+${JSON.stringify(story, null, 2)}
+\`\`\`
+
+${prompt}`;
+}
+
+// Point the review agent at the story a previous run died in the middle of
+export function withResumeNote(reviewPrompt, storyId) {
+  return `## Resumed Run
+
+The previous run was interrupted while working on **${storyId}**. Check that
+story FIRST: verify what was committed for it against its acceptance criteria
+and make sure its \`passes\` flag reflects reality before reviewing anything else.
+
+${reviewPrompt}`;
+}
+
+export function printOutput(title, output, limits) {
+  if (!output.trim()) {
+    console.log(chalk.yellow(`\n  ⚠ No output from ${title.toLowerCase()}`));
+    return;
+  }
+  const lines = output.replace(/\n$/, "").split("\n").length;
+  console.log(
+    chalk.gray(`\n─── ${title} (${lines} lines) ───────────────────────`),
+  );
+  console.log(summarizeOutput(output, limits));
+  console.log(
+    chalk.gray("────────────────────────────────────────────────────────"),
+  );
+}
+
+/**
+ * Run the Ralph loop: one coding agent invocation per iteration, followed by
+ * the review agent, until prd.json says every story passes or nothing is
+ * left to try.
+ *
+ * Resolves with { status, iterations, runId } where status is one of
+ * "complete", "max-iterations", "auth-failed", "stalled", "timeout",
+ * "budget-exceeded", "transient-failures", "no-ready-stories", "blocked"
+ * (nothing left to try but blocked stories),
+ * "missing-files" or "locked" (another ralph holds .ralph/, see state.js).
+ * Every iteration is recorded under .ralph/runs/<runId>/ (see runlog.js).
+ *
+ * Passing resumeRunId continues that run's iteration count and budget
+ * instead of starting a new one. Each iteration counts as an attempt on the
+ * story it worked on; stories still failing after maxAttemptsPerStory get
+ * blocked. Stalled iterations (see stall.js) are retried, skipped or abort
+ * the run depending on stallConfig.action.
+ *
+ * iterationTimeoutMinutes bounds the coding and review agents together;
+ * runTimeoutMinutes bounds this invocation of the loop. Either kills the
+ * running agent and counts against the story's attempts. 0 disables them.
+ * The run stops once its reported usage reaches budget.maxTokens or
+ * budget.maxUsd.
+ *
+ * Transient agent failures (rate limits, overload, network - see
+ * failures.js) are retried with exponential backoff and don't use up an
+ * iteration; an auth failure stops the run immediately.
+ *
+ * agentOptions and reviewAgentOptions ({ model, flags }) come from the coder
+ * and reviewer roles (see roles.js).
+ *
+ * After fallbackAfterFailures consecutive failed invocations (or a single
+ * auth failure) the loop switches to the next usable agent in
+ * agentFallbacks, and the review agent with it if they were the same.
+ */
+export async function runLoop({
+  cwd = process.cwd(),
+  agent,
+  reviewAgent = agent,
+  agentOptions = {},
+  reviewAgentOptions = {},
+  maxIterations,
+  resumeRunId,
+  maxAttemptsPerStory = DEFAULT_MAX_ATTEMPTS_PER_STORY,
+  stallConfig,
+  iterationTimeoutMinutes,
+  runTimeoutMinutes,
+  budget,
+  backoffConfig,
+  agentFallbacks = [],
+  fallbackAfterFailures = DEFAULT_FALLBACK_AFTER_FAILURES,
+  gitConfig = {},
+  qualityChecks = [],
+  hostBridge = false,
+  delayMs = 3000,
+}) {
+  const storyBranches = usesStoryBranches(gitConfig);
+  const waitForMerge =
+    storyBranches && gitConfig.createPRs && gitConfig.waitForMerge;
+  const stallPolicy = resolveStallConfig(stallConfig);
+  const backoffPolicy = { ...DEFAULT_BACKOFF_CONFIG, ...backoffConfig };
+  const runDeadline = runTimeoutMinutes
+    ? Date.now() + runTimeoutMinutes * 60000
+    : null;
+  const ralphDir = join(cwd, ".ralph");
+  const prdPath = join(ralphDir, "prd.json");
+  let promptPath = join(ralphDir, getPromptFile(agent));
+  const reviewPromptPath = join(ralphDir, "review-prompt.md");
+  const lastOutputPath = join(ralphDir, "last-output.txt");
+  const host = createHostClient(ralphDir, { bridged: hostBridge });
+
+  for (const required of [
+    promptPath,
+    prdPath,
+    join(ralphDir, "progress.txt"),
+  ]) {
+    if (!existsSync(required)) {
+      console.log(chalk.red(`ERROR: Required file not found: ${required}`));
+      return { status: "missing-files", iterations: 0 };
+    }
+  }
+  const reviewEnabled = existsSync(reviewPromptPath);
+  if (!reviewEnabled) {
+    console.log(
+      chalk.yellow(
+        `WARNING: Review prompt not found: ${reviewPromptPath} (skipping reviews)`,
+      ),
+    );
+  }
+
+  const releaseLock = lockForRun(ralphDir);
+  if (!releaseLock) return { status: "locked", iterations: 0 };
+
+  const run = resumeRunId
+    ? resumeRun(ralphDir, resumeRunId)
+    : createRun(ralphDir, {
+        agent,
+        reviewAgent,
+        model: agentOptions.model || null,
+        reviewModel: reviewAgentOptions.model || null,
+        maxIterations,
+      });
+  const firstIteration = getLastCompletedIteration(run) + 1;
+  const inFlightStoryId = resumeRunId ? run.current?.storyId : null;
+  maxIterations = run.maxIterations;
+
+  console.log(`Agent: ${describeAgent(agent, agentOptions)}`);
+  console.log(`Review: ${describeAgent(reviewAgent, reviewAgentOptions)}`);
+  console.log(`Max iterations: ${maxIterations}`);
+  console.log(`Started: ${new Date().toString()}`);
+  if (resumeRunId) {
+    console.log(
+      chalk.cyan(`Resuming at iteration ${firstIteration} of ${maxIterations}`),
+    );
+  }
+  console.log(chalk.gray(`Run log: .ralph/runs/${run.id}\n`));
+  syncPrd(ralphDir);
+
+  const stopHandlingInterrupts = handleInterrupts(ralphDir, run);
+  try {
+    let i = firstIteration;
+    let transientRetries = 0;
+    let consecutiveFailures = 0;
+    while (i <= maxIterations) {
+      if (runDeadline && Date.now() >= runDeadline) {
+        return stopForRunTimeout(ralphDir, run, runTimeoutMinutes, i - 1);
+      }
+      const overBudget = checkBudget(run.usage, budget);
+      if (overBudget) {
+        console.log(
+          chalk.yellow(
+            `\nBudget exhausted: ${overBudget}. Stopping after iteration ${i - 1}.`,
+          ),
+        );
+        finishRun(ralphDir, run, "budget-exceeded");
+        return { status: "budget-exceeded", iterations: i - 1, runId: run.id };
+      }
+      const iterationDeadline = earliestDeadline(
+        iterationTimeoutMinutes && Date.now() + iterationTimeoutMinutes * 60000,
+        runDeadline,
+      );
+
+      if (waitForMerge) await refreshMerges(ralphDir, host);
+      const prdBefore = readPrd(prdPath);
+      // The story a resumed run was in the middle of goes first, as long as
+      // it's still ready - it may have passed, been blocked or gained
+      // dependencies since
+      const story =
+        (i === firstIteration &&
+          getReadyStories(prdBefore).find((s) => s.id === inFlightStoryId)) ||
+        getNextStory(prdBefore);
+      // Nothing to do until a PR merges: poll rather than give up
+      if (!story && getAwaitingMerge(prdBefore).length > 0) {
+        const changed = await waitForMerges(ralphDir, host, {
+          ...DEFAULT_MERGE_POLL,
+          ...gitConfig.mergePoll,
+          runDeadline,
+        });
+        if (!changed) {
+          return stopForRunTimeout(ralphDir, run, runTimeoutMinutes, i - 1);
+        }
+        continue;
+      }
+      if (!story) {
+        if (isPrdComplete(prdBefore)) {
+          printCompleted(i - 1, maxIterations);
+          finishRun(ralphDir, run, "complete");
+          return { status: "complete", iterations: i - 1, runId: run.id };
+        }
+        if (hasOnlyBlockedStories(prdBefore)) {
+          return stopForBlockedStories(ralphDir, run, prdBefore, i - 1);
+        }
+        printNoReadyStories(prdBefore);
+        finishRun(ralphDir, run, "no-ready-stories");
+        return {
+          status: "no-ready-stories",
+          iterations: i - 1,
+          runId: run.id,
+        };
+      }
+      const storyId = story.id;
+
+      console.log(
+        chalk.bold("\n═══════════════════════════════════════════════════════"),
+      );
+      console.log(
+        chalk.bold(`  Iteration ${i} of ${maxIterations}: ${storyId}`),
+      );
+      console.log(
+        chalk.bold("═══════════════════════════════════════════════════════\n"),
+      );
+
+      if (storyBranches) {
+        if (
+          !(await prepareStoryBranch(cwd, prdBefore, story, gitConfig, host))
+        ) {
+          finishRun(ralphDir, run, "git-failed");
+          return { status: "git-failed", iterations: i - 1, runId: run.id };
+        }
+        writePrd(prdPath, prdBefore);
+      }
+
+      const paths = startIteration(ralphDir, run, i, storyId);
+      const record = {
+        iteration: i,
+        startedAt: new Date().toISOString(),
+        storyId,
+        ...(storyBranches && { branch: story.branch }),
+        headBefore: getGitHead(cwd),
+      };
+
+      // Prompts are re-read every iteration so edits take effect mid-run
+      const prompt = withStoryAssignment(
+        readFileSync(promptPath, "utf-8"),
+        story,
+      );
+      const result = await runAgent(agent, prompt, {
+        cwd,
+        label: `${getAgent(agent).name} is working`,
+        model: agentOptions.model,
+        flags: agentOptions.flags,
+        outputPath: paths.agentOutputPath,
+        watchdog: createStallWatchdog({ ...stallPolicy, cwd }),
+        deadline: iterationDeadline,
+      });
+      const { parsed } = result;
+      printOutput("Output", parsed.text);
+      record.agent = {
+        id: agent,
+        exitCode: result.exitCode,
+        durationMs: result.durationMs,
+        usage: parsed.usage,
+        error: parsed.error && {
+          kind: parsed.error.kind,
+          message: parsed.error.message,
+        },
+      };
+      if (result.stall) record.stall = result.stall;
+      if (result.timedOut) record.timeout = timeoutKind(runDeadline);
+
+      // Review agent reads the coding agent's output from here
+      writeFileSync(lastOutputPath, parsed.text);
+
+      const invalid = restoreIfInvalid(prdPath, prdBefore);
+      if (invalid.length > 0) {
+        record.invalidPrd = { stage: "agent", errors: invalid };
+        printInvalidPrd(record.invalidPrd);
+      }
+
+      // The coding agent only gets to change its own story
+      const prdAfterAgent = readPrd(prdPath);
+      const stray = restoreOtherStories(prdBefore, prdAfterAgent, storyId);
+      if (stray.length > 0) {
+        writePrd(prdPath, prdAfterAgent);
+        record.strayChanges = stray;
+        console.log(
+          chalk.yellow(
+            `\n  ⚠ Agent changed stories it wasn't assigned (${stray.join(", ")}); reverted them`,
+          ),
+        );
+      }
+
+      const failure = classifyFailure(result);
+      record.agent.failure = failure;
+      if (countsTowardFallback(failure)) consecutiveFailures++;
+      else if (!failure) consecutiveFailures = 0;
+
+      const fallback =
+        countsTowardFallback(failure) &&
+        (failure === "auth" || consecutiveFailures >= fallbackAfterFailures)
+          ? await findFallbackAgent(agentFallbacks, agent)
+          : null;
+      if (fallback) {
+        console.log(
+          chalk.yellow(
+            `\n  ⚠ ${getAgent(agent).name} failed (${failure}, ${consecutiveFailures} in a row). Switching to ${getAgent(fallback).name}.`,
+          ),
+        );
+        recordAgentSwitch(ralphDir, run, {
+          iteration: i,
+          from: agent,
+          to: fallback,
+          reason: failure,
+          message: parsed.error?.message,
+        });
+        if (reviewAgent === agent) {
+          reviewAgent = fallback;
+          reviewAgentOptions = {};
+        }
+        promptPath = ensurePromptFile(ralphDir, fallback, promptPath);
+        agent = fallback;
+        agentOptions = {};
+        consecutiveFailures = 0;
+        transientRetries = 0;
+
+        // The new agent retries the iteration; crashes still count as one
+        if (failure !== "crash") {
+          recordTransientFailure(ralphDir, run, {
+            iteration: i,
+            kind: failure,
+            message: parsed.error?.message,
+            backoffSeconds: 0,
+            usage: parsed.usage,
+          });
+          continue;
+        }
+      }
+
+      if (failure === "auth") {
+        console.log(chalk.red(`\n${parsed.error.message}`));
+        console.log(
+          chalk.red(
+            "\nAuthentication failed. Please authenticate your agent first:",
+          ),
+        );
+        console.log(chalk.white(`  ${getAgent(agent).loginCommand}`));
+        console.log(chalk.gray("\nThen retry: ralph run"));
+        recordIteration(
+          ralphDir,
+          run,
+          finishRecord(record, prdBefore, prdPath, cwd),
+        );
+        finishRun(ralphDir, run, "auth-failed");
+        return { status: "auth-failed", iterations: i, runId: run.id };
+      }
+
+      // Rate limits and outages aren't the story's fault: wait and retry the
+      // same iteration without using one up
+      if (isTransientFailure(failure)) {
+        transientRetries++;
+        if (transientRetries > backoffPolicy.maxRetries) {
+          console.log(
+            chalk.red(
+              `\n  ${failure} persisted through ${backoffPolicy.maxRetries} retries. Stopping.`,
+            ),
+          );
+          finishRun(ralphDir, run, "transient-failures");
+          return {
+            status: "transient-failures",
+            iterations: i - 1,
+            runId: run.id,
+          };
+        }
+        const seconds = getBackoffSeconds(transientRetries, backoffPolicy);
+        recordTransientFailure(ralphDir, run, {
+          iteration: i,
+          kind: failure,
+          message: parsed.error?.message,
+          backoffSeconds: seconds,
+          usage: parsed.usage,
+        });
+        console.log(
+          chalk.yellow(
+            `\n  ⚠ ${failure}: ${parsed.error?.message || "agent failed"}`,
+          ),
+        );
+        console.log(
+          chalk.yellow(
+            `    Backing off ${seconds}s (retry ${transientRetries}/${backoffPolicy.maxRetries}) - not counted as an iteration`,
+          ),
+        );
+        if (runDeadline && Date.now() + seconds * 1000 >= runDeadline) {
+          return stopForRunTimeout(ralphDir, run, runTimeoutMinutes, i - 1);
+        }
+        await sleep(seconds * 1000);
+        continue;
+      }
+      transientRetries = 0;
+
+      // A hung or killed agent left nothing worth reviewing
+      if (reviewEnabled && !result.stall && !result.timedOut) {
+        console.log(
+          chalk.gray("\n─── Review Agent ────────────────────────────────────"),
+        );
+        let reviewPrompt = readFileSync(reviewPromptPath, "utf-8");
+        if (i === firstIteration && inFlightStoryId) {
+          reviewPrompt = withResumeNote(reviewPrompt, inFlightStoryId);
+        }
+        const review = await runAgent(reviewAgent, reviewPrompt, {
+          cwd,
+          label: "Review agent checking work",
+          model: reviewAgentOptions.model,
+          flags: reviewAgentOptions.flags,
+          outputPath: paths.reviewOutputPath,
+          watchdog: createStallWatchdog({
+            noOutputMinutes: stallPolicy.noOutputMinutes,
+            cwd,
+          }),
+          deadline: iterationDeadline,
+        });
+        printOutput("Review", review.parsed.text, { maxLines: 20, keep: 8 });
+        record.review = {
+          id: reviewAgent,
+          exitCode: review.exitCode,
+          durationMs: review.durationMs,
+          usage: review.parsed.usage,
+        };
+        if (review.timedOut) record.timeout = timeoutKind(runDeadline);
+
+        const invalid = restoreIfInvalid(prdPath, prdBefore);
+        if (invalid.length > 0) {
+          record.invalidPrd = { stage: "review", errors: invalid };
+          printInvalidPrd(record.invalidPrd);
+        }
+      }
+
+      record.usage = addUsage(
+        addUsage(emptyUsage(), record.agent.usage),
+        record.review?.usage,
+      );
+      const finished = finishRecord(record, prdBefore, prdPath, cwd);
+      finished.stall ??= detectNoProgress(finished);
+      const prd = readPrd(prdPath);
+      const attempted = recordStoryAttempt(prd, finished.storyId, {
+        maxAttempts: maxAttemptsPerStory,
+        iteration: i,
+        failureNote:
+          (finished.invalidPrd && describeInvalidPrd(finished.invalidPrd)) ||
+          (finished.timeout &&
+            `Iteration ${i} hit the ${finished.timeout} timeout`),
+      });
+      if (
+        attempted &&
+        !attempted.passes &&
+        finished.stall &&
+        stallPolicy.action === "skip"
+      ) {
+        attempted.blocked = true;
+        attempted.blockedReason = `Skipped after stall: ${finished.stall.detail}`;
+      }
+      // Catch up with a base that moved on before anyone reviews the PR
+      if (attempted?.passes && storyBranches && !attempted.pullRequest) {
+        const conflict = await rebaseStoryBranch(cwd, attempted, {
+          agent,
+          agentOptions,
+          outputPath: paths.conflictOutputPath,
+          deadline: iterationDeadline,
+          noOutputMinutes: stallPolicy.noOutputMinutes,
+          qualityChecks,
+          host,
+        });
+        if (conflict) {
+          finished.conflict = conflict;
+          finished.usage = addUsage(finished.usage, conflict.usage);
+        }
+        if (conflict && !conflict.resolved) {
+          attempted.passes = false;
+          attempted.blocked = true;
+          attempted.blockedReason =
+            conflict.files.length > 0
+              ? `Conflicts with ${conflict.base}: ${conflict.reason}`
+              : `Broken by rebasing onto ${conflict.base}: ${conflict.reason}`;
+        }
+      }
+      if (
+        attempted?.passes &&
+        storyBranches &&
+        gitConfig.createPRs &&
+        !attempted.pullRequest
+      ) {
+        finished.pullRequest = await openStoryPullRequest(
+          cwd,
+          prd,
+          attempted,
+          host,
+        );
+        attempted.pullRequest = finished.pullRequest;
+        if (waitForMerge && attempted.pullRequest) {
+          attempted.awaitingMerge = true;
+          console.log(
+            chalk.gray(
+              `  ${attempted.id} counts as done once PR #${attempted.pullRequest} merges (git.waitForMerge)`,
+            ),
+          );
+        }
+      }
+      if (attempted) {
+        writePrd(prdPath, prd);
+        finished.attempts = attempted.attempts;
+        reportAttempt(attempted, maxAttemptsPerStory);
+      }
+      recordIteration(ralphDir, run, finished);
+      syncPrd(ralphDir);
+      if (record.agent.usage || record.review?.usage) {
+        console.log(
+          chalk.gray(
+            `\n  Usage: ${formatUsage(finished.usage)} this iteration, ${formatUsage(run.usage)} this run`,
+          ),
+        );
+      }
+
+      if (finished.stall) {
+        printStallDiagnostic(finished.stall, {
+          agentName: getAgent(agent).name,
+          storyId: finished.storyId,
+          iteration: i,
+          output: parsed.text,
+          action: stallPolicy.action,
+        });
+        if (stallPolicy.action === "abort") {
+          finishRun(ralphDir, run, "stalled");
+          return { status: "stalled", iterations: i, runId: run.id };
+        }
+      }
+
+      if (finished.timeout === "run") {
+        return stopForRunTimeout(ralphDir, run, runTimeoutMinutes, i);
+      }
+
+      // Completion is decided by the PRD after review, not by the agent's
+      // claim, and waits for any PRs the run is waiting on
+      const remaining =
+        getRemainingStories(prd).length + getBlockedStories(prd).length;
+      if (
+        (isPrdComplete(prd) ||
+          (getAgent(agent).isComplete(parsed.text) && remaining === 0)) &&
+        getAwaitingMerge(prd).length === 0
+      ) {
+        printCompleted(i, maxIterations);
+        finishRun(ralphDir, run, "complete");
+        return { status: "complete", iterations: i, runId: run.id };
+      }
+      if (hasOnlyBlockedStories(prd) && getAwaitingMerge(prd).length === 0) {
+        return stopForBlockedStories(ralphDir, run, prd, i);
+      }
+      if (getAgent(agent).isComplete(parsed.text)) {
+        console.log(
+          chalk.yellow(
+            `\n  Review agent found ${remaining} incomplete stories. Continuing...`,
+          ),
+        );
+      }
+
+      if (i < maxIterations) {
+        console.log(
+          chalk.gray(
+            `\nIteration ${i} complete. Continuing in ${delayMs / 1000} seconds...`,
+          ),
+        );
+        await sleep(delayMs);
+      }
+      i++;
+    }
+
+    console.log(
+      chalk.yellow(
+        `\nRalph reached max iterations (${maxIterations}) without completing.`,
+      ),
+    );
+    console.log(chalk.gray("Check progress.txt for status."));
+    finishRun(ralphDir, run, "max-iterations");
+    return {
+      status: "max-iterations",
+      iterations: maxIterations,
+      runId: run.id,
+    };
+  } finally {
+    stopHandlingInterrupts();
+    releaseLock();
+  }
+}
+
+export function printStallDiagnostic(
+  stall,
+  { agentName, storyId, iteration, output, action },
+) {
+  console.log(chalk.red(`\n  ⚠ Stall detected: ${stall.detail}`));
+  console.log(
+    chalk.gray(
+      `    Agent: ${agentName}, story: ${storyId || "unknown"}, iteration: ${iteration}`,
+    ),
+  );
+  const lastLines = output.trim().split("\n").slice(-5);
+  if (lastLines[0]) {
+    console.log(chalk.gray("    Last output:"));
+    lastLines.forEach((line) => console.log(chalk.gray(`      ${line}`)));
+  }
+  const outcomes = {
+    retry: "Retrying on the next iteration",
+    skip: `Blocked ${storyId || "story"} and moving on`,
+    abort: "Aborting the run",
+  };
+  console.log(chalk.yellow(`    Action: ${outcomes[action]}`));
+}
+
+/**
+ * Carry prd.json edits back to prds/<activePrd>.json (see syncActivePrd).
+ * Runs at the start of a run and after every iteration; a conflict is
+ * reported and left for `ralph prd sync` rather than stopping the run.
+ */
+export function syncPrd(ralphDir) {
+  try {
+    const { status, name } = syncActivePrd(ralphDir);
+    if (status === "loaded") {
+      console.log(chalk.gray(`  Picked up edits to prds/${name}.json`));
+    } else if (status === "conflict") {
+      console.log(
+        chalk.yellow(
+          `\n  ⚠ prd.json and prds/${name}.json both changed; prds/${name}.json is no longer updated`,
+        ),
+      );
+      console.log(
+        chalk.gray("    Pick one with: ralph prd sync --keep prd|stored"),
+      );
+    }
+  } catch (err) {
+    console.log(
+      chalk.yellow(`\n  ⚠ Couldn't sync prd.json with prds/: ${err.message}`),
+    );
+  }
+}
+
+// The runner owns branches and PRs when the project works through GitHub
+export function usesStoryBranches(gitConfig) {
+  return gitConfig?.provider === "github";
+}
+
+/**
+ * Put the working tree on the story's branch (see checkoutStoryBranch),
+ * fetching through `host` first so a new branch starts from origin's latest,
+ * and record it on the story. Resolves with false, having said why, if git
+ * couldn't.
+ */
+export async function prepareStoryBranch(cwd, prd, story, gitConfig, host) {
+  if (hasRemote(cwd)) {
+    try {
+      await host.call("fetch");
+    } catch (err) {
+      console.log(
+        chalk.yellow(
+          `  ⚠ Couldn't fetch from origin, branching from what was fetched before: ${err.message.split("\n")[0]}`,
+        ),
+      );
+    }
+  }
+  try {
+    const { branch, base, created, notes } = checkoutStoryBranch(
+      cwd,
+      prd,
+      story,
+      gitConfig,
+    );
+    notes.forEach((note) => console.log(chalk.yellow(`  ⚠ ${note}`)));
+    console.log(
+      chalk.gray(
+        created
+          ? `  Created branch ${branch} from ${base}\n`
+          : `  On branch ${branch}\n`,
+      ),
+    );
+    story.branch = branch;
+    if (created) story.baseBranch = base;
+    return true;
+  } catch (err) {
+    console.log(
+      chalk.red(`ERROR: Couldn't check out a branch for ${story.id}:`),
+    );
+    console.log(chalk.red(`  ${err.message.split("\n").join("\n  ")}`));
+    console.log(
+      chalk.gray("  Commit or stash uncommitted changes and run again"),
+    );
+    return false;
+  }
+}
+
+/**
+ * Bring a passing story's branch up to date with its base before its PR is
+ * opened. Conflicts go to the coding agent with a prompt of their own (see
+ * buildConflictPrompt), then config.qualityChecks run; if the agent can't
+ * settle them or the checks fail, the rebase is undone. Returns null when
+ * there was nothing to do, else { base, resolved, files, rounds, reason,
+ * usage } for the run log.
+ */
+export async function rebaseStoryBranch(
+  cwd,
+  story,
+  {
+    agent,
+    agentOptions,
+    outputPath,
+    deadline,
+    noOutputMinutes,
+    qualityChecks,
+    host,
+  },
+) {
+  try {
+    await host.call("fetch");
+  } catch {
+    // Offline: rebase onto what we have
+  }
+  const base = story.baseBranch || getDefaultBranch(cwd);
+  const onto = getBranchTip(cwd, `origin/${base}`) ? `origin/${base}` : base;
+  // A merged and deleted parent is `ralph gh restack`'s job
+  if (!getBranchTip(cwd, onto)) return null;
+
+  const tip = getGitHead(cwd);
+  const files = new Set();
+  let rounds = 0;
+  let usage = emptyUsage();
+  const fail = (reason) => {
+    abortRebase(cwd, tip);
+    console.log(
+      chalk.red(
+        `\n  ✗ Couldn't rebase ${story.branch} onto ${onto}: ${reason}`,
+      ),
+    );
+    return {
+      base: onto,
+      resolved: false,
+      files: [...files],
+      rounds,
+      reason,
+      usage,
+    };
+  };
+
+  const restore = setAsideRalphState(cwd, [onto]);
+  try {
+    let state = startRebase(cwd, onto);
+    if (state.status === "up-to-date") return null;
+    if (state.status === "error") {
+      console.log(
+        chalk.yellow(
+          `\n  ⚠ Couldn't rebase ${story.branch} onto ${onto}; opening the PR as it is`,
+        ),
+      );
+      console.log(chalk.gray(`    ${state.error.split("\n")[0]}`));
+      return null;
+    }
+    if (state.status === "conflict") {
+      console.log(
+        chalk.yellow(
+          `\n  ⚠ ${onto} has moved on and conflicts with ${story.branch}`,
+        ),
+      );
+    }
+
+    while (state.status === "conflict") {
+      if (++rounds > MAX_CONFLICT_ROUNDS) {
+        return fail(`still conflicting after ${MAX_CONFLICT_ROUNDS} rounds`);
+      }
+      state.files.forEach((file) => files.add(file));
+      console.log(
+        chalk.gray("\n─── Conflict Resolution ─────────────────────────────"),
+      );
+      console.log(chalk.gray(`  ${state.files.join(", ")}`));
+      const result = await runAgent(
+        agent,
+        buildConflictPrompt(story, {
+          base: onto,
+          files: state.files,
+          qualityChecks,
+        }),
+        {
+          cwd,
+          label: `${getAgent(agent).name} is resolving conflicts`,
+          model: agentOptions.model,
+          flags: agentOptions.flags,
+          outputPath:
+            rounds === 1
+              ? outputPath
+              : outputPath.replace(/\.log$/, `.round-${rounds}.log`),
+          watchdog: createStallWatchdog({ noOutputMinutes, cwd }),
+          deadline,
+        },
+      );
+      usage = addUsage(usage, result.parsed.usage);
+      printOutput("Conflict resolution", result.parsed.text, {
+        maxLines: 20,
+        keep: 8,
+      });
+      if (result.stall || result.timedOut) {
+        return fail("the agent didn't finish resolving the conflicts");
+      }
+      const left = [
+        ...new Set([
+          ...getConflictedFiles(cwd),
+          ...hasConflictMarkers(cwd, state.files),
+        ]),
+      ];
+      if (left.length > 0) {
+        return fail(`the agent left conflicts in ${left.join(", ")}`);
+      }
+      state = continueRebase(cwd);
+    }
+    if (!isBasedOn(cwd, onto)) return fail("the rebase was abandoned");
+
+    const failed = await runQualityChecks(cwd, qualityChecks);
+    if (failed) {
+      console.log(
+        chalk.gray(`    ${failed.output.split("\n").slice(-5).join("\n    ")}`),
+      );
+      return fail(
+        files.size > 0
+          ? `\`${failed.command}\` failed after resolving the conflicts`
+          : `\`${failed.command}\` failed after rebasing`,
+      );
+    }
+    console.log(
+      chalk.green(
+        files.size > 0
+          ? `\n  ✓ Resolved conflicts in ${files.size} file(s) and rebased onto ${onto}`
+          : `\n  ✓ Rebased ${story.branch} onto ${onto}`,
+      ),
+    );
+    return { base: onto, resolved: true, files: [...files], rounds, usage };
+  } finally {
+    restore();
+  }
+}
+
+// Push a passing story's branch and open its PR against the branch it was
+// made from, so a story stacked on another's branch gets a stacked PR. Both
+// go through `host`, which has the credentials (see host.js). Resolves with
+// the PR number, or null when that failed; the story still passes, the PR
+// is just left to you.
+export async function openStoryPullRequest(cwd, prd, story, host) {
+  const spinner = ora(`Opening a pull request for ${story.branch}...`).start();
+  const base = story.baseBranch || getDefaultBranch(cwd);
+  const parent = prd.userStories.find((s) => s.branch === base);
+  try {
+    const number = await host.call("create-pull-request", {
+      story,
+      base,
+      stackedOn: parent?.pullRequest,
+    });
+    spinner.succeed(`Opened PR #${number} for ${story.id}`);
+    return number;
+  } catch (err) {
+    spinner.fail(`Couldn't open a pull request for ${story.id}`);
+    console.log(chalk.yellow(`  ${err.message.split("\n").join("\n  ")}`));
+    console.log(
+      chalk.gray(
+        `  Push ${story.branch} and open it yourself, then set pullRequest in prd.json`,
+      ),
+    );
+    return null;
+  }
+}
+
+// Check the PRs the run waits on (see checkAwaitingMerges) and say what
+// changed. Returns how many did.
+export async function refreshMerges(ralphDir, host) {
+  const prdPath = join(ralphDir, "prd.json");
+  const prd = readPrd(prdPath);
+  const changes = await checkAwaitingMerges(prd, host);
+  for (const { storyId, pullRequest, state, error } of changes) {
+    if (state === "MERGED") {
+      console.log(chalk.green(`  ✓ PR #${pullRequest} (${storyId}) merged`));
+    } else if (state === "CLOSED") {
+      console.log(
+        chalk.red(
+          `  ⊘ PR #${pullRequest} (${storyId}) was closed without merging; ${storyId} is blocked`,
+        ),
+      );
+    } else {
+      console.log(
+        chalk.yellow(`  ⚠ Couldn't check PR #${pullRequest}: ${error}`),
+      );
+    }
+  }
+  const settled = changes.filter((c) => c.state !== "unknown").length;
+  if (settled > 0) {
+    writePrd(prdPath, prd);
+    syncPrd(ralphDir);
+  }
+  return settled;
+}
+
+/**
+ * git.waitForMerge with nothing else ready: poll the open PRs, backing off
+ * from initialSeconds to maxSeconds, until one merges or closes (true) or
+ * the run deadline would pass first (false).
+ */
+export async function waitForMerges(
+  ralphDir,
+  host,
+  { initialSeconds, maxSeconds, runDeadline },
+) {
+  const spinner = ora().start();
+  for (let poll = 1; ; poll++) {
+    const waitingOn = getAwaitingMerge(readPrd(join(ralphDir, "prd.json")))
+      .map((s) => `#${s.pullRequest} (${s.id})`)
+      .join(", ");
+    const seconds = getBackoffSeconds(poll, { initialSeconds, maxSeconds });
+    if (runDeadline && Date.now() + seconds * 1000 >= runDeadline) {
+      spinner.stop();
+      return false;
+    }
+    spinner.text = `Nothing else is ready. Waiting for ${waitingOn} to merge (checking again in ${seconds}s)`;
+    await sleep(seconds * 1000);
+    spinner.stop();
+    if ((await refreshMerges(ralphDir, host)) > 0) return true;
+    spinner.start();
+  }
+}
+
+// Why an iteration's prd.json edits were thrown away, for the story's
+// lastFailureNote
+export function describeInvalidPrd({ stage, errors }) {
+  return `The ${stage === "review" ? "review agent" : "coding agent"} left prd.json invalid (${errors[0]}), so it was rolled back`;
+}
+
+export function printInvalidPrd(invalid) {
+  console.log(chalk.red(`\n  ✗ ${describeInvalidPrd(invalid)}`));
+  for (const error of invalid.errors.slice(1, 5)) {
+    console.log(chalk.gray(`    ${error}`));
+  }
+}
+
+// Explain why nothing left in the PRD can be started
+export function printNoReadyStories(prd) {
+  console.log(
+    chalk.yellow(
+      "\nNo stories are ready: everything left depends on blocked or unfinished work.",
+    ),
+  );
+  const { errors, warnings } = checkDependencies(prd);
+  for (const problem of [...errors, ...warnings]) {
+    console.log(chalk.yellow(`  - ${problem}`));
+  }
+  console.log(chalk.gray("  See the dependency graph with: ralph prd graph"));
+}
+
+// Stop a run whose remaining stories are all blocked: that's not completion,
+// so it gets its own exit reason and the stories are listed
+export function stopForBlockedStories(ralphDir, run, prd, iterations) {
+  console.log(chalk.red("\nNothing left to try: these stories are blocked"));
+  for (const story of getBlockedStories(prd)) {
+    console.log(
+      chalk.red(`  ⊘ ${story.id}: ${story.blockedReason || "blocked"}`),
+    );
+  }
+  console.log(
+    chalk.gray(
+      "  Fix what blocked them, set blocked: false in .ralph/prd.json and run again",
+    ),
+  );
+  finishRun(ralphDir, run, "blocked");
+  return { status: "blocked", iterations, runId: run.id };
+}
+
+export function printCompleted(iteration, maxIterations) {
+  console.log(
+    chalk.green.bold("\n════════════════════════════════════════════════════"),
+  );
+  console.log(chalk.green.bold("  RALPH COMPLETED ALL TASKS!"));
+  console.log(
+    chalk.green.bold(
+      `  Finished at iteration ${iteration} of ${maxIterations}`,
+    ),
+  );
+  console.log(
+    chalk.green.bold("════════════════════════════════════════════════════"),
+  );
+}
+
+export function reportAttempt(story, maxAttempts) {
+  if (story.passes) return;
+  if (story.blocked) {
+    console.log(
+      chalk.red(
+        `\n  ⊘ ${story.id} blocked (${story.blockedReason}). Moving on.`,
+      ),
+    );
+  } else {
+    console.log(
+      chalk.yellow(
+        `\n  ${story.id} still failing (attempt ${story.attempts}/${maxAttempts})`,
+      ),
+    );
+  }
+}
+
+export function earliestDeadline(...deadlines) {
+  const set = deadlines.filter(Boolean);
+  return set.length > 0 ? Math.min(...set) : null;
+}
+
+// Whether an agent was killed by the run deadline or its iteration's own
+export function timeoutKind(runDeadline) {
+  return runDeadline && Date.now() >= runDeadline ? "run" : "iteration";
+}
+
+export function stopForRunTimeout(
+  ralphDir,
+  run,
+  runTimeoutMinutes,
+  iterations,
+) {
+  console.log(
+    chalk.yellow(
+      `\nRun timeout reached (${runTimeoutMinutes} minutes). Stopping after iteration ${iterations}.`,
+    ),
+  );
+  finishRun(ralphDir, run, "timeout");
+  return { status: "timeout", iterations, runId: run.id };
+}
+
+// Only one run may work on a project's .ralph/ at a time
+export function lockForRun(ralphDir) {
+  try {
+    return acquireLock(ralphDir, "loop");
+  } catch (err) {
+    console.log(chalk.red(`ERROR: ${err.message}`));
+    return null;
+  }
+}
+
+// Leave the run resumable if we're stopped from outside
+export function handleInterrupts(ralphDir, run) {
+  const onSignal = (signal) => {
+    activeAgents.forEach((child) => killProcessTree(child, "SIGTERM"));
+    markRunInterrupted(ralphDir, run);
+    console.log(
+      chalk.yellow(
+        `\nInterrupted (${signal}). Resume with: ralph run --resume`,
+      ),
+    );
+    process.exit(130);
+  };
+  process.once("SIGINT", onSignal);
+  process.once("SIGTERM", onSignal);
+  return () => {
+    process.off("SIGINT", onSignal);
+    process.off("SIGTERM", onSignal);
+  };
+}
+
+// Fill in what the iteration changed once the agents have finished with it
+export function finishRecord(record, prdBefore, prdPath, cwd) {
+  const prdAfter = readPrd(prdPath);
+  const passedBefore = new Set(getPassedIds(prdBefore));
+  const changed = getChangedStoryIds(prdBefore, prdAfter);
+  return {
+    ...record,
+    storyId: record.storyId || changed[0] || null,
+    headAfter: getGitHead(cwd),
+    prdChanged: JSON.stringify(prdBefore) !== JSON.stringify(prdAfter),
+    endedAt: new Date().toISOString(),
+    storiesCompleted: getPassedIds(prdAfter).filter(
+      (id) => !passedBefore.has(id),
+    ),
+  };
+}
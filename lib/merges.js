@@ -0,0 +1,45 @@
+// How often the loop asks GitHub about PRs it's waiting on when it has
+// nothing else to do: doubling from initialSeconds up to maxSeconds
+export const DEFAULT_MERGE_POLL = {
+  initialSeconds: 30,
+  maxSeconds: 600,
+};
+
+export function getAwaitingMerge(prd) {
+  return (prd?.userStories || []).filter((s) => s.awaitingMerge);
+}
+
+/**
+ * With git.waitForMerge, a story whose PR is open holds back the stories that
+ * depend on it. This asks GitHub about each of those PRs through `host` (see
+ * host.js): a merged one releases its story's dependents, one closed without
+ * merging blocks the story. Updates `prd` in place and resolves with
+ * { storyId, pullRequest, state, error } for each PR whose state changed or
+ * couldn't be checked.
+ */
+export async function checkAwaitingMerges(prd, host) {
+  const changes = [];
+  for (const story of getAwaitingMerge(prd)) {
+    const change = { storyId: story.id, pullRequest: story.pullRequest };
+    let pr;
+    try {
+      pr = await host.call("get-pull-request", { number: story.pullRequest });
+    } catch (err) {
+      changes.push({ ...change, state: "unknown", error: err.message });
+      continue;
+    }
+    if (pr.state === "MERGED") {
+      story.awaitingMerge = false;
+      story.mergedAt = pr.mergedAt;
+    } else if (pr.state === "CLOSED") {
+      story.awaitingMerge = false;
+      story.passes = false;
+      story.blocked = true;
+      story.blockedReason = `PR #${story.pullRequest} was closed without being merged`;
+    } else {
+      continue;
+    }
+    changes.push({ ...change, state: pr.state });
+  }
+  return changes;
+}
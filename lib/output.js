@@ -0,0 +1,266 @@
+import { hasAgent, getAgent } from "./agents.js";
+import { emptyUsage, addUsage } from "./usage.js";
+
+// An HTTP status only counts next to something saying it is one ("HTTP 429",
+// "status: 401", "API Error: 529", "code":429) - a bare number is as likely
+// to be a token count or a test total
+function statusCode(codes) {
+  return new RegExp(
+    `(?:\\bhttp(?:/[\\d.]+)?|\\bstatus(?:[ _]?code)?|\\berror code|\\bapi error|"(?:code|status)")"?\\s*[:=]?\\s*"?(?:${codes})\\b`,
+    "i",
+  );
+}
+
+const AUTH_ERROR_PATTERN =
+  /invalid api key|please run \/login|not authenticated|unauthorized|authentication_error/i;
+const AUTH_STATUS = statusCode("401");
+const RATE_LIMIT_PATTERN =
+  /rate.?limit|too many requests|quota exceeded|usage limit/i;
+const RATE_LIMIT_STATUS = statusCode("429");
+const OVERLOADED_PATTERN =
+  /overloaded|service unavailable|internal server error/i;
+const OVERLOADED_STATUS = statusCode("500|503|529");
+const NETWORK_PATTERN =
+  /ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|network error|fetch failed/i;
+
+// Everything but "error" is a known failure class the loop reacts to
+// (see failures.js)
+export function classifyError(message) {
+  if (AUTH_ERROR_PATTERN.test(message) || AUTH_STATUS.test(message)) {
+    return "auth";
+  }
+  if (RATE_LIMIT_PATTERN.test(message) || RATE_LIMIT_STATUS.test(message)) {
+    return "rate-limit";
+  }
+  if (OVERLOADED_PATTERN.test(message) || OVERLOADED_STATUS.test(message)) {
+    return "overloaded";
+  }
+  if (NETWORK_PATTERN.test(message)) return "network";
+  return "error";
+}
+
+function summarizeToolInput(input = {}) {
+  const summary =
+    input.command ||
+    input.file_path ||
+    input.path ||
+    input.pattern ||
+    input.description ||
+    "";
+  const line = String(summary).split("\n")[0];
+  return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+}
+
+function claudeUsage(usage = {}, costUsd = null) {
+  const inputTokens =
+    (usage.input_tokens || 0) +
+    (usage.cache_creation_input_tokens || 0) +
+    (usage.cache_read_input_tokens || 0);
+  const outputTokens = usage.output_tokens || 0;
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    costUsd,
+  };
+}
+
+// One line of Claude's --output-format stream-json into normalized events
+function parseClaudeEvent(message) {
+  if (message.type === "assistant") {
+    return (message.message?.content || []).flatMap((block) => {
+      if (block.type === "text") return [{ type: "text", text: block.text }];
+      if (block.type === "tool_use") {
+        return [
+          {
+            type: "tool",
+            name: block.name,
+            summary: summarizeToolInput(block.input),
+          },
+        ];
+      }
+      return [];
+    });
+  }
+  if (message.type === "result") {
+    const text = message.result ?? "";
+    const events = [
+      {
+        type: "result",
+        text,
+        usage: claudeUsage(message.usage, message.total_cost_usd ?? null),
+      },
+    ];
+    if (message.is_error) {
+      events.push({ type: "error", kind: classifyError(text), message: text });
+    }
+    return events;
+  }
+  return [];
+}
+
+// Gemini's --output-format json prints a single { response, stats, error }
+function parseGeminiResult(raw) {
+  let result;
+  try {
+    result = JSON.parse(raw.slice(raw.indexOf("{")));
+  } catch {
+    return [];
+  }
+  let usage = emptyUsage();
+  for (const model of Object.values(result.stats?.models || {})) {
+    usage = addUsage(usage, {
+      inputTokens: model.tokens?.prompt,
+      outputTokens: model.tokens?.candidates,
+      totalTokens: model.tokens?.total,
+    });
+  }
+  usage.costUsd = null;
+  const events = [{ type: "result", text: result.response ?? "", usage }];
+  if (result.error) {
+    const message = result.error.message || String(result.error);
+    events.push({ type: "error", kind: classifyError(message), message });
+  }
+  return events;
+}
+
+// Codex prints plain text ending in a "tokens used: 12,345" line
+function parseCodexResult(raw) {
+  const matches = [...raw.matchAll(/tokens used:?\s*([\d,]+)/gi)];
+  const usage = matches.length
+    ? {
+        ...emptyUsage(),
+        totalTokens: parseInt(matches.pop()[1].replace(/,/g, "")),
+        costUsd: null,
+      }
+    : null;
+  return [{ type: "result", text: raw, usage }];
+}
+
+export function formatEvent(event) {
+  if (event.type === "tool") {
+    return `→ ${event.name}${event.summary ? `: ${event.summary}` : ""}`;
+  }
+  if (event.type === "error") return `✗ ${event.message}`;
+  return event.text;
+}
+
+/**
+ * Incrementally parse an agent's output according to its adapter's
+ * outputMode (or its own parseResult, see agents.js).
+ * push(text) and pushStderr(text) return the events completed by that chunk
+ * (only stream-json agents produce events while running); finish({ exitCode })
+ * returns { text, finalMessage, usage, error, events } for the whole
+ * invocation. Without an exitCode (replaying a log) only errors the agent
+ * reported itself are picked up.
+ */
+export function createOutputParser(agent) {
+  const adapter = hasAgent(agent) ? getAgent(agent) : null;
+  const mode = adapter?.outputMode || "text";
+  const events = [];
+  const stray = [];
+  let raw = "";
+  let pending = "";
+
+  // Anything that isn't an event (stderr, warnings) is kept as text
+  const strayLine = (line) => {
+    stray.push(line);
+    return [{ type: "text", text: line }];
+  };
+
+  const parseLine = (line) => {
+    if (!line.trim()) return [];
+    try {
+      return parseClaudeEvent(JSON.parse(line));
+    } catch {
+      return strayLine(line);
+    }
+  };
+
+  return {
+    push(chunk) {
+      raw += chunk;
+      if (mode !== "stream-json") return [];
+      const lines = (pending + chunk).split("\n");
+      pending = lines.pop();
+      const added = lines.flatMap(parseLine);
+      events.push(...added);
+      return added;
+    },
+    pushStderr(chunk) {
+      raw += chunk;
+      if (mode !== "stream-json") return [];
+      const added = chunk
+        .split("\n")
+        .filter((line) => line.trim())
+        .flatMap(strayLine);
+      events.push(...added);
+      return added;
+    },
+    finish({ exitCode } = {}) {
+      if (adapter?.parseResult) {
+        events.push(...adapter.parseResult(raw));
+      } else if (mode === "stream-json") {
+        events.push(...parseLine(pending));
+      } else if (mode === "json") {
+        events.push(...parseGeminiResult(raw));
+      } else {
+        events.push(...parseCodexResult(raw));
+      }
+
+      const result = events.find((e) => e.type === "result");
+      let error = events.find((e) => e.type === "error") || null;
+      // An agent that exited cleanly didn't fail, whatever it printed. One
+      // that didn't, without saying why in its own output, usually left the
+      // error at the end: stderr and other stray lines for stream-json, the
+      // whole output for text - never a json agent's response, which is all
+      // model text.
+      const failed = exitCode !== undefined && exitCode !== 0;
+      const unstructured =
+        mode === "stream-json"
+          ? stray
+          : mode === "json" && result
+            ? []
+            : raw.split("\n");
+      const errorLine =
+        failed &&
+        unstructured
+          .slice(-10)
+          .reverse()
+          .find((line) => classifyError(line) !== "error");
+      if (!error && errorLine) {
+        error = {
+          type: "error",
+          kind: classifyError(errorLine),
+          message: errorLine.trim(),
+        };
+      }
+
+      let text = result?.text || raw;
+      if (mode === "stream-json") {
+        const transcript = events
+          .filter((e) => e.type === "text" || e.type === "tool")
+          .map(formatEvent);
+        // The final assistant message usually repeats as the result
+        if (result?.text && transcript[transcript.length - 1] !== result.text) {
+          transcript.push(result.text);
+        }
+        text = transcript.join("\n");
+      }
+      return {
+        text,
+        finalMessage: result?.text ?? raw,
+        usage: result?.usage || null,
+        error,
+        events,
+      };
+    },
+  };
+}
+
+// Parse a complete captured output in one go (e.g. replaying a run log)
+export function parseAgentOutput(agent, raw) {
+  const parser = createOutputParser(agent);
+  parser.push(raw);
+  return parser.finish();
+}
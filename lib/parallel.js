@@ -0,0 +1,777 @@
+import { join } from "path";
+import { existsSync, readFileSync, writeFileSync, appendFileSync } from "fs";
+import chalk from "chalk";
+import ora from "ora";
+import { getAgent, getPromptFile } from "./agents.js";
+import {
+  getBranchTip,
+  getStoryBaseBranch,
+  getStoryBranchName,
+  branchExists,
+  hasRemote,
+} from "./branches.js";
+import { createHostClient } from "./host.js";
+import { DEFAULT_MERGE_POLL, getAwaitingMerge } from "./merges.js";
+import {
+  readPrd,
+  restoreIfInvalid,
+  writePrd,
+  getReadyStories,
+  isPrdComplete,
+  hasOnlyBlockedStories,
+  recordStoryAttempt,
+  restoreOtherStories,
+  DEFAULT_MAX_ATTEMPTS_PER_STORY,
+} from "./prd.js";
+import {
+  createRun,
+  startIteration,
+  recordIteration,
+  recordTransientFailure,
+  finishRun,
+  getGitHead,
+  resumeRun,
+} from "./runlog.js";
+import {
+  resolveStallConfig,
+  createStallWatchdog,
+  detectNoProgress,
+} from "./stall.js";
+import { addUsage, emptyUsage, checkBudget, formatUsage } from "./usage.js";
+import {
+  classifyFailure,
+  isTransientFailure,
+  getBackoffSeconds,
+  DEFAULT_BACKOFF_CONFIG,
+} from "./failures.js";
+import {
+  createWorktree,
+  createStoryWorktree,
+  getWorktree,
+  removeWorktree,
+  copyRalphState,
+  hasCommitsSince,
+  mergeWorkerBranch,
+} from "./worktrees.js";
+import {
+  runAgent,
+  printOutput,
+  reportAttempt,
+  printStallDiagnostic,
+  printCompleted,
+  printNoReadyStories,
+  stopForBlockedStories,
+  printInvalidPrd,
+  syncPrd,
+  describeInvalidPrd,
+  earliestDeadline,
+  timeoutKind,
+  stopForRunTimeout,
+  handleInterrupts,
+  lockForRun,
+  finishRecord,
+  describeAgent,
+  withStoryAssignment,
+  usesStoryBranches,
+  openStoryPullRequest,
+  refreshMerges,
+  waitForMerges,
+} from "./loop.js";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Iteration numbers for a round of `count` workers: the lowest ones no
+// counted iteration has used, so a number a transient failure left unused is
+// retried like the sequential loop retries an iteration
+function nextIterationNumbers(run, count) {
+  const used = new Set(run.iterations.map((r) => r.iteration));
+  const numbers = [];
+  for (let n = 1; numbers.length < count; n++) {
+    if (!used.has(n)) numbers.push(n);
+  }
+  return numbers;
+}
+
+function parallelNote(branch, storyBranches) {
+  return `
+You are one of several agents working at the same time, each in its own git
+worktree - don't start any other story, even if it looks ready. Stay on the
+current branch (\`${branch}\`): do not create, switch or push branches.
+Commit your work here; Ralph ${storyBranches ? "pushes it and opens its pull request" : "merges it"}.
+`;
+}
+
+// Where a new story branch starts: its base as last fetched from origin, or
+// the local copy when origin doesn't have it
+function storyStartPoint(cwd, base) {
+  return getBranchTip(cwd, `origin/${base}`) ? `origin/${base}` : base;
+}
+
+// One spinner, one line per worker
+function createWorkerDisplay(storyIds) {
+  const lines = new Map(storyIds.map((id) => [id, chalk.gray("starting")]));
+  const spinner = ora().start();
+  const render = () => {
+    spinner.text = [...lines]
+      .map(([id, text]) => `${chalk.bold(id)}  ${text}`)
+      .join("\n  ");
+  };
+  render();
+  return {
+    update(id, text) {
+      lines.set(id, text);
+      render();
+    },
+    stop() {
+      render();
+      spinner.stopAndPersist({ symbol: " " });
+    },
+  };
+}
+
+/**
+ * Like runLoop, but works on up to `parallel` independent stories at once:
+ * each round takes the ready stories (dependencies met, see prd.js), gives
+ * each its own worktree on a ralph/<storyId> branch, and runs the coding
+ * and review agents there concurrently. Finished branches are merged into
+ * the current branch one at a time; a branch that conflicts counts as a
+ * failed attempt and is kept until the story's next attempt replaces it. So
+ * does a worker that fails outright, e.g. when git can't make its worktree;
+ * the rest of the round is still merged.
+ *
+ * With story branches (git.provider "github") each worker is on its story's
+ * own branch instead, made from its base as in runLoop, and nothing is merged
+ * here: a passing story's branch is pushed and its PR opened through the host
+ * (see host.js), and git.waitForMerge holds back its dependents. There's no
+ * rebase before the PR, as every branch in a round starts from what was
+ * fetched at its start.
+ *
+ * Every worker invocation gets its own iteration log and uses one iteration.
+ * Agent fallbacks don't apply here; transient failures back off before the
+ * next round without counting against the story or using an iteration, their
+ * number being retried. Stories a worker's review adds are merged into the
+ * main PRD along with its story.
+ *
+ * Resolves with { status, iterations, runId } like runLoop, plus
+ * "no-ready-stories" when everything left is waiting on blocked work and
+ * "git-required" outside a git repository.
+ */
+export async function runParallelLoop({
+  cwd = process.cwd(),
+  agent,
+  reviewAgent = agent,
+  agentOptions = {},
+  reviewAgentOptions = {},
+  parallel,
+  maxIterations,
+  resumeRunId,
+  maxAttemptsPerStory = DEFAULT_MAX_ATTEMPTS_PER_STORY,
+  stallConfig,
+  iterationTimeoutMinutes,
+  runTimeoutMinutes,
+  budget,
+  backoffConfig,
+  gitConfig = {},
+  hostBridge = false,
+  delayMs = 3000,
+}) {
+  const stallPolicy = resolveStallConfig(stallConfig);
+  const backoffPolicy = { ...DEFAULT_BACKOFF_CONFIG, ...backoffConfig };
+  const runDeadline = runTimeoutMinutes
+    ? Date.now() + runTimeoutMinutes * 60000
+    : null;
+  const ralphDir = join(cwd, ".ralph");
+  const prdPath = join(ralphDir, "prd.json");
+  const progressPath = join(ralphDir, "progress.txt");
+  const promptFile = getPromptFile(agent);
+  const reviewEnabled = existsSync(join(ralphDir, "review-prompt.md"));
+  const storyBranches = usesStoryBranches(gitConfig);
+  const waitForMerge =
+    storyBranches && gitConfig.createPRs && gitConfig.waitForMerge;
+  const host = createHostClient(ralphDir, { bridged: hostBridge });
+
+  for (const required of [join(ralphDir, promptFile), prdPath, progressPath]) {
+    if (!existsSync(required)) {
+      console.log(chalk.red(`ERROR: Required file not found: ${required}`));
+      return { status: "missing-files", iterations: 0 };
+    }
+  }
+  if (!getGitHead(cwd)) {
+    console.log(chalk.red("ERROR: --parallel needs a git repository"));
+    return { status: "git-required", iterations: 0 };
+  }
+
+  const releaseLock = lockForRun(ralphDir);
+  if (!releaseLock) return { status: "locked", iterations: 0 };
+
+  const run = resumeRunId
+    ? resumeRun(ralphDir, resumeRunId)
+    : createRun(ralphDir, {
+        agent,
+        reviewAgent,
+        model: agentOptions.model || null,
+        reviewModel: reviewAgentOptions.model || null,
+        parallel,
+        maxIterations,
+      });
+  maxIterations = run.maxIterations;
+  // Only iterations that count against the story use up maxIterations
+  let completedIterations = run.iterations.length;
+
+  console.log(`Agent: ${describeAgent(agent, agentOptions)}`);
+  console.log(`Review: ${describeAgent(reviewAgent, reviewAgentOptions)}`);
+  console.log(`Workers: ${parallel}`);
+  console.log(`Max iterations: ${maxIterations}`);
+  console.log(`Started: ${new Date().toString()}`);
+  console.log(chalk.gray(`Run log: .ralph/runs/${run.id}\n`));
+
+  // A single worker's invocation of the coding and review agents
+  const runWorker = async (story, iteration, baseRef, display) => {
+    const paths = startIteration(ralphDir, run, iteration, story.id);
+    const worktree = storyBranches
+      ? createStoryWorktree(
+          ralphDir,
+          cwd,
+          story.id,
+          story.branch,
+          storyStartPoint(cwd, story.baseBranch),
+        )
+      : createWorktree(ralphDir, cwd, story.id, baseRef);
+    const workerRalphDir = copyRalphState(ralphDir, worktree.path, [
+      "prd.json",
+      "progress.txt",
+      promptFile,
+      "review-prompt.md",
+    ]);
+    const workerPrdPath = join(workerRalphDir, "prd.json");
+    const prdBefore = readPrd(workerPrdPath);
+    const deadline = earliestDeadline(
+      iterationTimeoutMinutes && Date.now() + iterationTimeoutMinutes * 60000,
+      runDeadline,
+    );
+    const record = {
+      iteration,
+      startedAt: new Date().toISOString(),
+      storyId: story.id,
+      branch: worktree.branch,
+      headBefore: getGitHead(worktree.path),
+    };
+
+    const prompt = withStoryAssignment(
+      readFileSync(join(workerRalphDir, promptFile), "utf-8"),
+      story,
+      parallelNote(worktree.branch, storyBranches),
+    );
+    const result = await runAgent(agent, prompt, {
+      cwd: worktree.path,
+      label: getAgent(agent).name,
+      model: agentOptions.model,
+      flags: agentOptions.flags,
+      outputPath: paths.agentOutputPath,
+      watchdog: createStallWatchdog({ ...stallPolicy, cwd: worktree.path }),
+      deadline,
+      onProgress: (text) => display.update(story.id, text),
+    });
+    const { parsed } = result;
+    const failure = classifyFailure(result);
+    record.agent = {
+      id: agent,
+      exitCode: result.exitCode,
+      durationMs: result.durationMs,
+      usage: parsed.usage,
+      error: parsed.error && {
+        kind: parsed.error.kind,
+        message: parsed.error.message,
+      },
+      failure,
+    };
+    if (result.stall) record.stall = result.stall;
+    if (result.timedOut) record.timeout = timeoutKind(runDeadline);
+    writeFileSync(join(workerRalphDir, "last-output.txt"), parsed.text);
+    // Reported once the worker is integrated, to keep the display intact
+    const invalid = restoreIfInvalid(workerPrdPath, prdBefore);
+    if (invalid.length > 0) {
+      record.invalidPrd = { stage: "agent", errors: invalid };
+    }
+    // The coding agent only gets to change its own story
+    const prdAfterAgent = readPrd(workerPrdPath);
+    const stray = restoreOtherStories(prdBefore, prdAfterAgent, story.id);
+    if (stray.length > 0) {
+      writePrd(workerPrdPath, prdAfterAgent);
+      record.strayChanges = stray;
+    }
+
+    const reviewable =
+      reviewEnabled &&
+      !result.stall &&
+      !result.timedOut &&
+      !isTransientFailure(failure) &&
+      failure !== "auth";
+    if (reviewable) {
+      const review = await runAgent(
+        reviewAgent,
+        readFileSync(join(workerRalphDir, "review-prompt.md"), "utf-8"),
+        {
+          cwd: worktree.path,
+          label: "Reviewing",
+          model: reviewAgentOptions.model,
+          flags: reviewAgentOptions.flags,
+          outputPath: paths.reviewOutputPath,
+          watchdog: createStallWatchdog({
+            noOutputMinutes: stallPolicy.noOutputMinutes,
+            cwd: worktree.path,
+          }),
+          deadline,
+          onProgress: (text) => display.update(story.id, text),
+        },
+      );
+      record.review = {
+        id: reviewAgent,
+        exitCode: review.exitCode,
+        durationMs: review.durationMs,
+        usage: review.parsed.usage,
+      };
+      if (review.timedOut) record.timeout = timeoutKind(runDeadline);
+
+      const invalid = restoreIfInvalid(workerPrdPath, prdBefore);
+      if (invalid.length > 0) {
+        record.invalidPrd = { stage: "review", errors: invalid };
+      }
+    }
+
+    record.usage = addUsage(
+      addUsage(emptyUsage(), record.agent.usage),
+      record.review?.usage,
+    );
+    const finished = {
+      ...finishRecord(record, prdBefore, workerPrdPath, worktree.path),
+      storyId: story.id,
+    };
+    finished.stall ??= detectNoProgress(finished);
+    const prdAfter = readPrd(workerPrdPath);
+    const knownIds = new Set(prdBefore.userStories.map((s) => s.id));
+    return {
+      story,
+      worktree,
+      finished,
+      failure,
+      output: parsed.text,
+      workerStory: prdAfter?.userStories?.find((s) => s.id === story.id),
+      // Stories the review agent added for follow-up work
+      addedStories: (prdAfter?.userStories || []).filter(
+        (s) => !knownIds.has(s.id),
+      ),
+      progressAdded: readFileSync(join(workerRalphDir, "progress.txt"), "utf-8")
+        .slice(readFileSync(progressPath, "utf-8").length)
+        .trim(),
+    };
+  };
+
+  // A worker that threw, e.g. because git couldn't make its worktree: there
+  // is nothing to integrate, so the round goes on without it
+  const failedWorker = (story, iteration, err, display) => {
+    display.update(story.id, chalk.red("failed"));
+    return {
+      story,
+      worktree: {
+        ...getWorktree(ralphDir, story.id),
+        ...(storyBranches && { branch: story.branch }),
+      },
+      error: err.stderr?.toString().trim() || err.message,
+      finished: {
+        iteration,
+        storyId: story.id,
+        endedAt: new Date().toISOString(),
+      },
+    };
+  };
+
+  // Counts as a failed attempt at the story, like one that didn't pass
+  const recordWorkerFailure = ({ story, worktree, error, finished }) => {
+    const message = error.split("\n")[0];
+    console.log(chalk.red(`\n  ✗ ${story.id}'s worker failed: ${message}`));
+    const prd = readPrd(prdPath);
+    const updated = recordStoryAttempt(prd, story.id, {
+      maxAttempts: maxAttemptsPerStory,
+      iteration: finished.iteration,
+      failureNote: `Worker failed: ${message}`,
+    });
+    writePrd(prdPath, prd);
+    reportAttempt(updated, maxAttemptsPerStory);
+    recordIteration(ralphDir, run, {
+      ...finished,
+      error,
+      attempts: updated.attempts,
+      storiesCompleted: [],
+    });
+    syncPrd(ralphDir);
+    removeWorktree(cwd, worktree, { keepBranch: storyBranches });
+  };
+
+  // Name each story's branch and pick its base (see getStoryBaseBranch)
+  // before the round's workers start, fetching first so new branches start
+  // from origin's latest
+  const assignStoryBranches = async (prd, stories) => {
+    if (hasRemote(cwd)) {
+      try {
+        await host.call("fetch");
+      } catch (err) {
+        console.log(
+          chalk.yellow(
+            `  ⚠ Couldn't fetch from origin, branching from what was fetched before: ${err.message.split("\n")[0]}`,
+          ),
+        );
+      }
+    }
+    for (const story of stories) {
+      story.branch ||= getStoryBranchName(story, gitConfig);
+      if (!branchExists(cwd, story.branch)) {
+        story.baseBranch = getStoryBaseBranch(cwd, prd, story);
+      }
+    }
+    writePrd(prdPath, prd);
+    syncPrd(ralphDir);
+  };
+
+  // Bring one worker's results back: merge its branch, then copy its story
+  // status, any stories its review added and its progress notes into the
+  // main PRD. A story branch isn't merged; a passing one gets its PR instead.
+  const integrate = async (outcome, baseRef) => {
+    const { story, worktree, finished } = outcome;
+    const committed =
+      !storyBranches && hasCommitsSince(cwd, worktree.branch, baseRef);
+    const merge = committed
+      ? mergeWorkerBranch(cwd, worktree.branch)
+      : { merged: false };
+    if (!storyBranches) {
+      finished.merged = merge.merged;
+      finished.headAfter = getGitHead(cwd);
+    }
+
+    const prd = readPrd(prdPath);
+    const mainStory = prd.userStories.find((s) => s.id === story.id);
+    let failureNote =
+      finished.timeout &&
+      `Iteration ${finished.iteration} hit the ${finished.timeout} timeout`;
+    if (finished.invalidPrd) {
+      failureNote = describeInvalidPrd(finished.invalidPrd);
+      printInvalidPrd(finished.invalidPrd);
+    }
+    if (committed && !merge.merged) {
+      failureNote = `Merging ${worktree.branch} conflicted with work merged before it`;
+      console.log(chalk.red(`\n  ✗ ${failureNote}`));
+    } else if (outcome.workerStory) {
+      mainStory.passes = outcome.workerStory.passes;
+      if (outcome.workerStory.notes)
+        mainStory.notes = outcome.workerStory.notes;
+    }
+    if (finished.strayChanges) {
+      console.log(
+        chalk.yellow(
+          `\n  ⚠ ${story.id}'s agent changed stories it wasn't assigned (${finished.strayChanges.join(", ")}); reverted them`,
+        ),
+      );
+    }
+    if (merge.merged || !committed) {
+      if (outcome.progressAdded) {
+        appendFileSync(progressPath, `\n${outcome.progressAdded}\n`);
+      }
+      addReviewStories(prd, story, outcome.addedStories);
+    }
+
+    const updated = recordStoryAttempt(prd, story.id, {
+      maxAttempts: maxAttemptsPerStory,
+      iteration: finished.iteration,
+      failureNote,
+    });
+    if (!updated.passes && finished.stall && stallPolicy.action === "skip") {
+      updated.blocked = true;
+      updated.blockedReason = `Skipped after stall: ${finished.stall.detail}`;
+    }
+    if (
+      updated.passes &&
+      storyBranches &&
+      gitConfig.createPRs &&
+      !updated.pullRequest
+    ) {
+      finished.pullRequest = await openStoryPullRequest(
+        cwd,
+        prd,
+        updated,
+        host,
+      );
+      updated.pullRequest = finished.pullRequest;
+      if (waitForMerge && updated.pullRequest) {
+        updated.awaitingMerge = true;
+        console.log(
+          chalk.gray(
+            `  ${updated.id} counts as done once PR #${updated.pullRequest} merges (git.waitForMerge)`,
+          ),
+        );
+      }
+    }
+    writePrd(prdPath, prd);
+    finished.attempts = updated.attempts;
+    finished.storiesCompleted = updated.passes ? [story.id] : [];
+    reportAttempt(updated, maxAttemptsPerStory);
+    recordIteration(ralphDir, run, finished);
+    syncPrd(ralphDir);
+    removeWorktree(cwd, worktree, {
+      keepBranch: storyBranches || (committed && !merge.merged),
+    });
+  };
+
+  // Another worker's review may have taken the same id this round: the
+  // first one merged keeps it
+  const addReviewStories = (prd, story, added) => {
+    for (const newStory of added) {
+      if (prd.userStories.some((s) => s.id === newStory.id)) {
+        console.log(
+          chalk.yellow(
+            `\n  ⚠ Dropped ${newStory.id} ("${newStory.title}") added by ${story.id}'s review: the id is already taken. Add it again with a new id.`,
+          ),
+        );
+        continue;
+      }
+      prd.userStories.push(newStory);
+      console.log(
+        chalk.cyan(`\n  + ${story.id}'s review added ${newStory.id}`),
+      );
+    }
+  };
+
+  syncPrd(ralphDir);
+  const stopHandlingInterrupts = handleInterrupts(ralphDir, run);
+  try {
+    let transientRounds = 0;
+    while (completedIterations < maxIterations) {
+      if (runDeadline && Date.now() >= runDeadline) {
+        return stopForRunTimeout(
+          ralphDir,
+          run,
+          runTimeoutMinutes,
+          completedIterations,
+        );
+      }
+      const overBudget = checkBudget(run.usage, budget);
+      if (overBudget) {
+        console.log(
+          chalk.yellow(
+            `\nBudget exhausted: ${overBudget}. Stopping after iteration ${completedIterations}.`,
+          ),
+        );
+        finishRun(ralphDir, run, "budget-exceeded");
+        return {
+          status: "budget-exceeded",
+          iterations: completedIterations,
+          runId: run.id,
+        };
+      }
+
+      if (waitForMerge) await refreshMerges(ralphDir, host);
+      const prd = readPrd(prdPath);
+      const awaitingMerge = getAwaitingMerge(prd).length > 0;
+      if (isPrdComplete(prd) && !awaitingMerge) break;
+      if (hasOnlyBlockedStories(prd) && !awaitingMerge) {
+        return stopForBlockedStories(ralphDir, run, prd, completedIterations);
+      }
+      const stories = getReadyStories(prd).slice(
+        0,
+        Math.min(parallel, maxIterations - completedIterations),
+      );
+      // Nothing to do until a PR merges: poll rather than give up
+      if (stories.length === 0 && awaitingMerge) {
+        const changed = await waitForMerges(ralphDir, host, {
+          ...DEFAULT_MERGE_POLL,
+          ...gitConfig.mergePoll,
+          runDeadline,
+        });
+        if (!changed) {
+          return stopForRunTimeout(
+            ralphDir,
+            run,
+            runTimeoutMinutes,
+            completedIterations,
+          );
+        }
+        continue;
+      }
+      if (stories.length === 0) {
+        printNoReadyStories(prd);
+        finishRun(ralphDir, run, "no-ready-stories");
+        return {
+          status: "no-ready-stories",
+          iterations: completedIterations,
+          runId: run.id,
+        };
+      }
+
+      if (storyBranches) await assignStoryBranches(prd, stories);
+      const numbers = nextIterationNumbers(run, stories.length);
+      console.log(
+        chalk.bold("\n═══════════════════════════════════════════════════════"),
+      );
+      console.log(
+        chalk.bold(
+          `  ${numbers.length === 1 ? "Iteration" : "Iterations"} ${numbers.join(", ")} of ${maxIterations}: ${stories.map((s) => s.id).join(", ")}`,
+        ),
+      );
+      console.log(
+        chalk.bold("═══════════════════════════════════════════════════════\n"),
+      );
+
+      const baseRef = getGitHead(cwd);
+      const display = createWorkerDisplay(stories.map((s) => s.id));
+      const outcomes = await Promise.all(
+        stories.map((story, k) =>
+          runWorker(story, numbers[k], baseRef, display).catch((err) =>
+            failedWorker(story, numbers[k], err, display),
+          ),
+        ),
+      );
+      display.stop();
+
+      let transient = null;
+      let authFailed = null;
+      for (const outcome of outcomes) {
+        const { story, finished, failure } = outcome;
+        if (outcome.error) {
+          recordWorkerFailure(outcome);
+          continue;
+        }
+        printOutput(`${story.id} output`, outcome.output, {
+          maxLines: 20,
+          keep: 8,
+        });
+        if (failure === "auth" || isTransientFailure(failure)) {
+          // Not the story's fault - leave its attempts alone
+          recordTransientFailure(ralphDir, run, {
+            iteration: finished.iteration,
+            kind: failure,
+            message: finished.agent.error?.message,
+            usage: finished.usage,
+          });
+          removeWorktree(cwd, outcome.worktree);
+          if (failure === "auth") authFailed = outcome;
+          else transient = failure;
+          continue;
+        }
+        await integrate(outcome, baseRef);
+        if (finished.stall) {
+          printStallDiagnostic(finished.stall, {
+            agentName: getAgent(agent).name,
+            storyId: story.id,
+            iteration: finished.iteration,
+            output: outcome.output,
+            action: stallPolicy.action,
+          });
+        }
+      }
+      completedIterations = run.iterations.length;
+      if (outcomes.some((o) => o.finished.agent?.usage)) {
+        console.log(
+          chalk.gray(`\n  Usage: ${formatUsage(run.usage)} this run`),
+        );
+      }
+
+      if (authFailed) {
+        console.log(
+          chalk.red(
+            `\nAuthentication failed. Please authenticate your agent first:`,
+          ),
+        );
+        console.log(chalk.white(`  ${getAgent(agent).loginCommand}`));
+        finishRun(ralphDir, run, "auth-failed");
+        return {
+          status: "auth-failed",
+          iterations: completedIterations,
+          runId: run.id,
+        };
+      }
+      if (
+        stallPolicy.action === "abort" &&
+        outcomes.some((o) => o.finished.stall)
+      ) {
+        finishRun(ralphDir, run, "stalled");
+        return {
+          status: "stalled",
+          iterations: completedIterations,
+          runId: run.id,
+        };
+      }
+      if (outcomes.some((o) => o.finished.timeout === "run")) {
+        return stopForRunTimeout(
+          ralphDir,
+          run,
+          runTimeoutMinutes,
+          completedIterations,
+        );
+      }
+      const prdAfter = readPrd(prdPath);
+      if (isPrdComplete(prdAfter) && getAwaitingMerge(prdAfter).length === 0) {
+        break;
+      }
+
+      if (transient) {
+        transientRounds++;
+        if (transientRounds > backoffPolicy.maxRetries) {
+          console.log(
+            chalk.red(
+              `\n  ${transient} persisted through ${backoffPolicy.maxRetries} retries. Stopping.`,
+            ),
+          );
+          finishRun(ralphDir, run, "transient-failures");
+          return {
+            status: "transient-failures",
+            iterations: completedIterations,
+            runId: run.id,
+          };
+        }
+        const seconds = getBackoffSeconds(transientRounds, backoffPolicy);
+        console.log(
+          chalk.yellow(`\n  ⚠ ${transient}: backing off ${seconds}s`),
+        );
+        await sleep(seconds * 1000);
+      } else {
+        transientRounds = 0;
+        if (completedIterations < maxIterations) await sleep(delayMs);
+      }
+    }
+
+    const prd = readPrd(prdPath);
+    if (isPrdComplete(prd) && getAwaitingMerge(prd).length === 0) {
+      printCompleted(completedIterations, maxIterations);
+      finishRun(ralphDir, run, "complete");
+      return {
+        status: "complete",
+        iterations: completedIterations,
+        runId: run.id,
+      };
+    }
+    if (hasOnlyBlockedStories(prd)) {
+      return stopForBlockedStories(ralphDir, run, prd, completedIterations);
+    }
+    console.log(
+      chalk.yellow(
+        `\nRalph reached max iterations (${maxIterations}) without completing.`,
+      ),
+    );
+    console.log(chalk.gray("Check progress.txt for status."));
+    finishRun(ralphDir, run, "max-iterations");
+    return {
+      status: "max-iterations",
+      iterations: maxIterations,
+      runId: run.id,
+    };
+  } catch (err) {
+    // Whatever got this far is a bug, not a story's failure: end the run
+    // so it isn't left looking like it's still going
+    finishRun(ralphDir, run, "error");
+    throw err;
+  } finally {
+    stopHandlingInterrupts();
+    releaseLock();
+  }
+}
@@ -0,0 +1,234 @@
+import { join } from "path";
+import { existsSync, mkdirSync, readFileSync } from "fs";
+import { validateJsonFile, validatePrd } from "./schema.js";
+import { writeJsonAtomic } from "./state.js";
+
+export const DEFAULT_MAX_ATTEMPTS_PER_STORY = 3;
+
+export function readPrd(prdPath) {
+  if (!existsSync(prdPath)) return null;
+  return JSON.parse(readFileSync(prdPath, "utf-8"));
+}
+
+export function writePrd(prdPath, prd) {
+  writeJsonAtomic(prdPath, prd);
+}
+
+export function getPrdsDir(ralphDir) {
+  return join(ralphDir, "prds");
+}
+
+function readActivePrdName(ralphDir) {
+  const configPath = join(ralphDir, "config.json");
+  if (!existsSync(configPath)) return null;
+  return JSON.parse(readFileSync(configPath, "utf-8")).activePrd || null;
+}
+
+// What prd.json and prds/<activePrd>.json held when they last matched.
+// listPrds skips dotfiles, so this never shows up as a PRD.
+function getSyncBasePath(ralphDir) {
+  return join(getPrdsDir(ralphDir), ".synced.json");
+}
+
+function writeSyncBase(ralphDir, name, prd) {
+  mkdirSync(getPrdsDir(ralphDir), { recursive: true });
+  writeJsonAtomic(getSyncBasePath(ralphDir), { name, prd });
+}
+
+/**
+ * Agents only ever edit .ralph/prd.json; this carries their edits back to
+ * .ralph/prds/<activePrd>.json, and edits made to that file directly the
+ * other way. Whichever side changed since the last sync wins. When both did,
+ * neither is touched unless `keep` ("prd" or "stored") says which to keep.
+ * Returns { status, name } where status is "in-sync", "saved" (prd.json
+ * copied to prds/), "loaded" (the other way), "conflict", or "none" when no
+ * PRD is active.
+ */
+export function syncActivePrd(ralphDir, { keep } = {}) {
+  const name = readActivePrdName(ralphDir);
+  const prdPath = join(ralphDir, "prd.json");
+  if (!name || !existsSync(prdPath)) return { status: "none", name };
+
+  const storedPath = join(getPrdsDir(ralphDir), `${name}.json`);
+  const working = readPrd(prdPath);
+  const stored = readPrd(storedPath);
+  const base = existsSync(getSyncBasePath(ralphDir))
+    ? JSON.parse(readFileSync(getSyncBasePath(ralphDir), "utf-8"))
+    : null;
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  if (same(working, stored)) {
+    writeSyncBase(ralphDir, name, working);
+    return { status: "in-sync", name };
+  }
+  // Without a base for this PRD (it predates syncing), prd.json is the copy
+  // agents were editing
+  const storedChanged =
+    stored && base?.name === name && !same(stored, base.prd);
+  const workingChanged = base?.name !== name || !same(working, base.prd);
+  if (keep === "stored" || (storedChanged && !workingChanged)) {
+    writePrd(prdPath, stored);
+    writeSyncBase(ralphDir, name, stored);
+    return { status: "loaded", name };
+  }
+  if (keep === "prd" || !storedChanged) {
+    mkdirSync(getPrdsDir(ralphDir), { recursive: true });
+    writePrd(storedPath, working);
+    writeSyncBase(ralphDir, name, working);
+    return { status: "saved", name };
+  }
+  return { status: "conflict", name };
+}
+
+/**
+ * Make prds/<name>.json the active PRD: sync the current one first so no
+ * edits are lost, then check the new one out into prd.json. Returns the
+ * sync result when that conflicts (and nothing is switched), otherwise
+ * { status: "activated", name }. Throws if prds/<name>.json doesn't exist.
+ */
+export function activatePrd(ralphDir, name) {
+  const prd = readPrd(join(getPrdsDir(ralphDir), `${name}.json`));
+  if (!prd) throw new Error(`PRD not found: ${name}`);
+  const sync = syncActivePrd(ralphDir);
+  if (sync.status === "conflict") return sync;
+
+  const configPath = join(ralphDir, "config.json");
+  const config = existsSync(configPath)
+    ? JSON.parse(readFileSync(configPath, "utf-8"))
+    : {};
+  config.activePrd = name;
+  writeJsonAtomic(configPath, config);
+
+  writePrd(join(ralphDir, "prd.json"), prd);
+  writeSyncBase(ralphDir, name, prd);
+  return { status: "activated", name };
+}
+
+// Agents hand-edit prd.json: if an edit left it unparseable or off-schema,
+// put back the copy from before it. Returns what was wrong, if anything.
+export function restoreIfInvalid(prdPath, prdBefore) {
+  const { errors } = validateJsonFile(prdPath, validatePrd);
+  if (errors.length > 0) writePrd(prdPath, prdBefore);
+  return errors;
+}
+
+// Stories still waiting on work (blocked stories are skipped, not pending)
+export function getRemainingStories(prd) {
+  return (prd?.userStories || []).filter((s) => !s.passes && !s.blocked);
+}
+
+// Stories that don't pass but won't be tried again: given up on by the
+// runner, or blocked by hand
+export function getBlockedStories(prd) {
+  return (prd?.userStories || []).filter((s) => !s.passes && s.blocked);
+}
+
+// Every story passes - blocked ones mean the work isn't done
+export function isPrdComplete(prd) {
+  const total = prd?.userStories?.length || 0;
+  return (
+    total > 0 &&
+    getRemainingStories(prd).length === 0 &&
+    getBlockedStories(prd).length === 0
+  );
+}
+
+// Nothing left to try, yet not complete: every story that doesn't pass is
+// blocked
+export function hasOnlyBlockedStories(prd) {
+  return (
+    getRemainingStories(prd).length === 0 && getBlockedStories(prd).length > 0
+  );
+}
+
+export function getPassedIds(prd) {
+  return (prd?.userStories || []).filter((s) => s.passes).map((s) => s.id);
+}
+
+// Stories that aren't done, blocked, or waiting on a dependency (one that
+// hasn't passed, or whose PR hasn't merged yet under git.waitForMerge):
+// highest priority first, then the one with fewer failed attempts, then PRD
+// order
+export function getReadyStories(prd) {
+  const stories = prd?.userStories || [];
+  const done = new Set(
+    stories.filter((s) => s.passes && !s.awaitingMerge).map((s) => s.id),
+  );
+  return getRemainingStories(prd)
+    .filter((s) => (s.dependsOn || []).every((id) => done.has(id)))
+    .sort(
+      (a, b) =>
+        (a.priority ?? stories.indexOf(a) + 1) -
+          (b.priority ?? stories.indexOf(b) + 1) ||
+        (a.attempts || 0) - (b.attempts || 0) ||
+        stories.indexOf(a) - stories.indexOf(b),
+    );
+}
+
+// The story the runner assigns to the next iteration
+export function getNextStory(prd) {
+  return getReadyStories(prd)[0] || null;
+}
+
+export function findStory(prd, storyId) {
+  return prd?.userStories?.find((s) => s.id === storyId) || null;
+}
+
+// Ids of stories whose entry differs between two snapshots of the PRD
+export function getChangedStoryIds(before, after) {
+  const previous = new Map(
+    (before?.userStories || []).map((s) => [s.id, JSON.stringify(s)]),
+  );
+  return (after?.userStories || [])
+    .filter((s) => previous.get(s.id) !== JSON.stringify(s))
+    .map((s) => s.id);
+}
+
+/**
+ * Undo what an agent did to stories other than the one it was assigned:
+ * changed or deleted entries get their previous version back and added ones
+ * are dropped. Updates `after` in place and returns the ids put back.
+ */
+export function restoreOtherStories(before, after, storyId) {
+  const afterIds = new Set((after?.userStories || []).map((s) => s.id));
+  const stray = [
+    ...getChangedStoryIds(before, after),
+    ...(before?.userStories || [])
+      .filter((s) => !afterIds.has(s.id))
+      .map((s) => s.id),
+  ].filter((id) => id !== storyId);
+  if (stray.length > 0) {
+    after.userStories = before.userStories.map((s) =>
+      s.id === storyId ? findStory(after, storyId) || s : s,
+    );
+  }
+  return stray;
+}
+
+/**
+ * Count an iteration against a story. A story that still doesn't pass after
+ * maxAttempts is blocked so the loop moves on to something else. failureNote
+ * overrides the reason recorded when the runner knows better (e.g. timeouts).
+ * Returns the updated story, or null if the id isn't in the PRD.
+ */
+export function recordStoryAttempt(
+  prd,
+  storyId,
+  { maxAttempts, iteration, failureNote },
+) {
+  const story = prd?.userStories?.find((s) => s.id === storyId);
+  if (!story) return null;
+
+  story.attempts = (story.attempts || 0) + 1;
+  if (story.passes) return story;
+
+  story.lastFailureNote =
+    failureNote ||
+    story.notes ||
+    `Iteration ${iteration} ended without the story passing`;
+  if (maxAttempts && story.attempts >= maxAttempts && !story.blocked) {
+    story.blocked = true;
+    story.blockedReason = `Gave up after ${story.attempts} attempts: ${story.lastFailureNote}`;
+  }
+  return story;
+}
@@ -0,0 +1,110 @@
+import {
+  carryRalphState,
+  fetchOrigin,
+  getBranchTip,
+  getCurrentBranch,
+  rebaseBranch,
+  switchBranch,
+} from "./branches.js";
+import { getPullRequest, pushBranch, setPullRequestBase } from "./github.js";
+
+// How many stacked branches sit between a story and a branch no story owns
+function stackDepth(story, byBranch, seen = new Set()) {
+  const parent = byBranch.get(story.baseBranch);
+  if (!parent || seen.has(parent.id)) return 0;
+  seen.add(parent.id);
+  return stackDepth(parent, byBranch, seen) + 1;
+}
+
+/**
+ * Stacked stories branch from, and open their PRs against, the branch of the
+ * story they depend on. Once that parent PR merges, the child is rebased
+ * onto whatever the parent merged into - only its own commits, so squash
+ * merges work - force-pushed, and its PR retargeted with `gh pr edit`.
+ * Stories stacked on a restacked branch are rebased along with it. Updates
+ * baseBranch and mergedAt on the stories in `prd` (the caller writes it) and
+ * returns one result per branch touched: { storyId, branch, from, to,
+ * status, error }, status being "restacked", "conflict" or "push-failed".
+ */
+export function restackStories(cwd, prd) {
+  const stories = (prd?.userStories || []).filter((s) => s.branch);
+  const byBranch = new Map(stories.map((s) => [s.branch, s]));
+  const views = new Map();
+  const view = (story) => {
+    if (!story?.pullRequest) return null;
+    if (!views.has(story.pullRequest)) {
+      views.set(story.pullRequest, getPullRequest(cwd, story.pullRequest));
+    }
+    return views.get(story.pullRequest);
+  };
+  const isMerged = (story) => {
+    if (view(story)?.state !== "MERGED") return false;
+    story.mergedAt ??= view(story).mergedAt;
+    if (story.awaitingMerge) story.awaitingMerge = false;
+    return true;
+  };
+  // Follow merged parents down to the first branch that's still open
+  const liveBase = (branch) => {
+    const seen = new Set();
+    while (isMerged(byBranch.get(branch)) && !seen.has(branch)) {
+      seen.add(branch);
+      branch = view(byBranch.get(branch)).baseRefName;
+    }
+    return branch;
+  };
+
+  const stacked = stories
+    .filter((s) => s.baseBranch && !isMerged(s))
+    .sort((a, b) => stackDepth(a, byBranch) - stackDepth(b, byBranch));
+  const refs = stories.flatMap((s) => [s.branch, `origin/${s.branch}`]);
+  const results = [];
+
+  fetchOrigin(cwd);
+  const startBranch = getCurrentBranch(cwd);
+  carryRalphState(cwd, refs, () => {
+    // Tips of branches from before this restack rewrote them
+    const movedFrom = new Map();
+    try {
+      for (const story of stacked) {
+        const from = story.baseBranch;
+        const to = liveBase(from);
+        const parentMovedFrom = movedFrom.get(from);
+        if (to === from && !parentMovedFrom) continue;
+
+        const oldTip = getBranchTip(cwd, story.branch);
+        const { rebased, error } =
+          to === from
+            ? rebaseBranch(cwd, story.branch, {
+                onto: from,
+                upstream: parentMovedFrom,
+              })
+            : rebaseBranch(cwd, story.branch, {
+                onto: getBranchTip(cwd, `origin/${to}`) ? `origin/${to}` : to,
+                upstream:
+                  getBranchTip(cwd, `origin/${from}`) ||
+                  getBranchTip(cwd, from),
+              });
+        const result = { storyId: story.id, branch: story.branch, from, to };
+        results.push(result);
+        if (!rebased) {
+          Object.assign(result, { status: "conflict", error });
+          continue;
+        }
+        movedFrom.set(story.branch, oldTip);
+        story.baseBranch = to;
+        try {
+          pushBranch(cwd, story.branch, { force: true });
+          if (story.pullRequest && view(story).baseRefName !== to) {
+            setPullRequestBase(cwd, story.pullRequest, to);
+          }
+          result.status = "restacked";
+        } catch (err) {
+          Object.assign(result, { status: "push-failed", error: err.message });
+        }
+      }
+    } finally {
+      if (startBranch) switchBranch(cwd, startBranch);
+    }
+  });
+  return results;
+}
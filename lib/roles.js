@@ -0,0 +1,44 @@
+import { hasAgent } from "./agents.js";
+
+export const ROLES = ["coder", "reviewer", "compound", "prdWriter"];
+
+// `ralph prd create` relies on the ralph-prd Claude skill by default
+const DEFAULT_ROLE_AGENTS = { prdWriter: "claude" };
+
+/**
+ * What a role runs with: { agent, model, flags, configured }. config.roles
+ * entries are either an agent id or { agent, model, flags }. A role that
+ * doesn't name an agent uses the coder's, which in turn defaults to
+ * config.agent; configured says whether config.roles has an entry for it.
+ */
+export function getRole(config, role) {
+  const entry = config.roles?.[role];
+  const spec = typeof entry === "string" ? { agent: entry } : entry || {};
+  const fallback =
+    role === "coder"
+      ? config.agent || "claude"
+      : DEFAULT_ROLE_AGENTS[role] || getRole(config, "coder").agent;
+  return {
+    agent: spec.agent || fallback,
+    model: spec.model || null,
+    flags: spec.flags || [],
+    configured: Boolean(entry),
+  };
+}
+
+export function validateRoles(config) {
+  for (const [role, entry] of Object.entries(config.roles || {})) {
+    if (!ROLES.includes(role)) {
+      throw new Error(
+        `Unknown role "${role}" (expected one of: ${ROLES.join(", ")})`,
+      );
+    }
+    if (entry?.flags && !Array.isArray(entry.flags)) {
+      throw new Error(`roles.${role}.flags must be an array`);
+    }
+    const { agent } = getRole(config, role);
+    if (!hasAgent(agent)) {
+      throw new Error(`roles.${role} uses unknown agent "${agent}"`);
+    }
+  }
+}
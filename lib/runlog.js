@@ -0,0 +1,282 @@
+import { join } from "path";
+import {
+  existsSync,
+  mkdirSync,
+  writeFileSync,
+  readFileSync,
+  renameSync,
+  readdirSync,
+  statSync,
+  openSync,
+  readSync,
+  closeSync,
+} from "fs";
+import { execSync } from "child_process";
+import { addUsage, emptyUsage } from "./usage.js";
+import { getLockHolder, writeJsonAtomic } from "./state.js";
+
+// Timestamped id that sorts chronologically, e.g. 2026-02-05T10-23-30-424Z
+function createRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+export function getRunsDir(ralphDir) {
+  return join(ralphDir, "runs");
+}
+
+export function getRunDir(ralphDir, runId) {
+  return join(getRunsDir(ralphDir), runId);
+}
+
+export function getIterationDir(ralphDir, runId, iteration) {
+  return join(
+    getRunDir(ralphDir, runId),
+    `iteration-${String(iteration).padStart(3, "0")}`,
+  );
+}
+
+export function getGitHead(cwd = process.cwd()) {
+  try {
+    return execSync("git rev-parse HEAD", { cwd, stdio: "pipe" })
+      .toString()
+      .trim();
+  } catch {
+    return null;
+  }
+}
+
+// Atomic because `ralph logs --follow` and `ralph status` read it mid-run
+function saveRun(ralphDir, run) {
+  writeJsonAtomic(join(getRunDir(ralphDir, run.id), "run.json"), run);
+}
+
+/**
+ * Create .ralph/runs/<id>/ with an initial run.json. Agents commit with
+ * `git add -A`, so the runs directory carries its own .gitignore.
+ */
+export function createRun(ralphDir, meta) {
+  const runsDir = getRunsDir(ralphDir);
+  mkdirSync(runsDir, { recursive: true });
+  if (!existsSync(join(runsDir, ".gitignore"))) {
+    writeFileSync(join(runsDir, ".gitignore"), "*\n");
+  }
+
+  const startedAt = new Date();
+  const run = {
+    id: createRunId(startedAt),
+    startedAt: startedAt.toISOString(),
+    endedAt: null,
+    status: "running",
+    exitReason: null,
+    current: null,
+    ...meta,
+    storiesCompleted: [],
+    usage: emptyUsage(),
+    usageByStory: {},
+    iterations: [],
+  };
+  mkdirSync(getRunDir(ralphDir, run.id), { recursive: true });
+  saveRun(ralphDir, run);
+  return run;
+}
+
+/**
+ * Prepare the iteration directory and mark it in flight in run.json, so a
+ * resumed run knows which story was being worked on. Returns where output
+ * should stream to.
+ */
+export function startIteration(ralphDir, run, iteration, storyId) {
+  const dir = getIterationDir(ralphDir, run.id, iteration);
+  mkdirSync(dir, { recursive: true });
+
+  // Keep output from an attempt that was cut short or retried rather than
+  // overwrite it: agent.log becomes agent.attempt-1.log, and so on
+  for (const name of ["agent", "review", "conflict"]) {
+    const path = join(dir, `${name}.log`);
+    if (!existsSync(path)) continue;
+    let attempt = 1;
+    while (existsSync(join(dir, `${name}.attempt-${attempt}.log`))) attempt++;
+    renameSync(path, join(dir, `${name}.attempt-${attempt}.log`));
+  }
+
+  run.current = { iteration, storyId, startedAt: new Date().toISOString() };
+  saveRun(ralphDir, run);
+  return {
+    agentOutputPath: join(dir, "agent.log"),
+    reviewOutputPath: join(dir, "review.log"),
+    conflictOutputPath: join(dir, "conflict.log"),
+  };
+}
+
+export function recordIteration(ralphDir, run, record) {
+  writeFileSync(
+    join(getIterationDir(ralphDir, run.id, record.iteration), "iteration.json"),
+    JSON.stringify(record, null, 2),
+  );
+  run.iterations.push(record);
+  run.storiesCompleted.push(...(record.storiesCompleted || []));
+  run.usage = addUsage(run.usage || emptyUsage(), record.usage);
+  if (record.storyId) {
+    run.usageByStory ||= {};
+    run.usageByStory[record.storyId] = addUsage(
+      run.usageByStory[record.storyId] || emptyUsage(),
+      record.usage,
+    );
+  }
+  run.current = null;
+  saveRun(ralphDir, run);
+}
+
+// Failures that are retried rather than counted as an iteration
+export function recordTransientFailure(ralphDir, run, failure) {
+  run.transientFailures = [
+    ...(run.transientFailures || []),
+    { ...failure, at: new Date().toISOString() },
+  ];
+  // Failed attempts still cost tokens
+  run.usage = addUsage(run.usage || emptyUsage(), failure.usage);
+  saveRun(ralphDir, run);
+}
+
+export function recordAgentSwitch(ralphDir, run, change) {
+  run.agentSwitches = [
+    ...(run.agentSwitches || []),
+    { ...change, at: new Date().toISOString() },
+  ];
+  saveRun(ralphDir, run);
+}
+
+export function finishRun(ralphDir, run, exitReason) {
+  run.status = "finished";
+  run.exitReason = exitReason;
+  run.current = null;
+  run.endedAt = new Date().toISOString();
+  saveRun(ralphDir, run);
+}
+
+export function markRunInterrupted(ralphDir, run) {
+  run.status = "interrupted";
+  run.endedAt = new Date().toISOString();
+  saveRun(ralphDir, run);
+}
+
+/**
+ * The latest run if it can be resumed: it was interrupted (or killed hard
+ * enough to still read "running") and has iterations left in its budget.
+ */
+export function findResumableRun(ralphDir) {
+  const run = listRuns(ralphDir).pop();
+  if (!run || !["running", "interrupted"].includes(run.status)) return null;
+  return getLastCompletedIteration(run) < run.maxIterations ? run : null;
+}
+
+export function getLastCompletedIteration(run) {
+  return run.iterations[run.iterations.length - 1]?.iteration || 0;
+}
+
+export function resumeRun(ralphDir, runId) {
+  const run = readRun(ralphDir, runId);
+  if (!run) {
+    throw new Error(`Run not found: ${runId}`);
+  }
+  run.status = "running";
+  run.endedAt = null;
+  run.resumedAt = [...(run.resumedAt || []), new Date().toISOString()];
+  saveRun(ralphDir, run);
+  return run;
+}
+
+export function readRun(ralphDir, runId) {
+  const runPath = join(getRunDir(ralphDir, runId), "run.json");
+  if (!existsSync(runPath)) return null;
+  return JSON.parse(readFileSync(runPath, "utf-8"));
+}
+
+// All recorded runs, oldest first
+export function listRuns(ralphDir) {
+  const runsDir = getRunsDir(ralphDir);
+  if (!existsSync(runsDir)) return [];
+  return readdirSync(runsDir)
+    .sort()
+    .map((id) => readRun(ralphDir, id))
+    .filter(Boolean);
+}
+
+// Accept a full id, a unique prefix, or "latest"
+export function resolveRunId(ralphDir, ref) {
+  const ids = listRuns(ralphDir).map((r) => r.id);
+  if (!ref || ref === "latest") return ids[ids.length - 1] || null;
+  if (ids.includes(ref)) return ref;
+  const matches = ids.filter((id) => id.startsWith(ref));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+function readFrom(path, offset) {
+  const fd = openSync(path, "r");
+  try {
+    const length = statSync(path).size - offset;
+    const buffer = Buffer.alloc(Math.max(length, 0));
+    readSync(fd, buffer, 0, buffer.length, offset);
+    return buffer;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Whether the loop running a run is still around: a run killed too hard to
+// record its end still reads "running", but the lock its loop took (see
+// state.js) has gone with it
+function isRunAlive(ralphDir, runId) {
+  if (readRun(ralphDir, runId)?.status !== "running") return false;
+  if (getLockHolder(ralphDir)?.command === "loop") return true;
+  // It may have finished and let go of the lock since it was read
+  return readRun(ralphDir, runId)?.status !== "running";
+}
+
+/**
+ * Tail a run's iteration logs as they are written, calling onIteration when
+ * a new log file appears and onChunk with its contents. Resolves once the
+ * run is no longer marked as running and everything has been drained, with
+ * the run - marked `interrupted: true` if its loop went away without
+ * finishing it.
+ */
+export async function followRun(
+  ralphDir,
+  runId,
+  { onIteration, onChunk, intervalMs = 500 },
+) {
+  const offsets = new Map();
+
+  const drain = () => {
+    const run = readRun(ralphDir, runId);
+    for (let i = 1; ; i++) {
+      const dir = getIterationDir(ralphDir, runId, i);
+      if (!existsSync(dir)) break;
+      for (const name of ["agent.log", "review.log", "conflict.log"]) {
+        const path = join(dir, name);
+        if (!existsSync(path)) continue;
+        // A retried iteration archives its log and starts a fresh one
+        if (!offsets.has(path) || statSync(path).size < offsets.get(path)) {
+          offsets.set(path, 0);
+          onIteration(i, name.replace(".log", ""));
+        }
+        const chunk = readFrom(path, offsets.get(path));
+        if (chunk.length > 0) {
+          offsets.set(path, offsets.get(path) + chunk.length);
+          onChunk(chunk);
+        }
+      }
+    }
+    return run;
+  };
+
+  while (drain()?.status === "running") {
+    if (!isRunAlive(ralphDir, runId)) {
+      drain();
+      const run = readRun(ralphDir, runId);
+      return run?.status === "running" ? { ...run, interrupted: true } : run;
+    }
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+  return readRun(ralphDir, runId);
+}
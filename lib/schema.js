@@ -0,0 +1,156 @@
+import { fileURLToPath } from "url";
+import { dirname, join } from "path";
+import { existsSync, readFileSync } from "fs";
+
+export const SCHEMAS_DIR = join(
+  dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "schemas",
+);
+
+const schemas = new Map();
+
+export function loadSchema(name) {
+  if (!schemas.has(name)) {
+    schemas.set(
+      name,
+      JSON.parse(
+        readFileSync(join(SCHEMAS_DIR, `${name}.schema.json`), "utf-8"),
+      ),
+    );
+  }
+  return schemas.get(name);
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node[key], root);
+}
+
+function pathTo(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * Check a value against one of the schemas in schemas/. Covers the parts of
+ * JSON Schema those files use: type, enum, required, properties,
+ * additionalProperties, items, uniqueItems, minimum, minLength, anyOf and
+ * local $refs. Returns messages like "userStories[2].priority: expected
+ * integer, got string"; empty when the value is valid.
+ */
+export function validate(value, schema, root = schema, path = "") {
+  if (schema.$ref) {
+    return validate(value, resolveRef(root, schema.$ref), root, path);
+  }
+  const at = path.replace(/^\./, "") || "(root)";
+
+  if (schema.anyOf) {
+    const options = schema.anyOf.map((s) => validate(value, s, root, path));
+    if (options.some((errors) => errors.length === 0)) return [];
+    // Report the option whose type matched rather than all of them
+    const typeMismatch = `${at}: expected `;
+    return (
+      options.find((errors) => !errors[0].startsWith(typeMismatch)) ||
+      options[0]
+    );
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [
+      `${at}: expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`,
+    ];
+  }
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      return [`${at}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+    }
+  }
+
+  const errors = [];
+  if (typeof value === "string" && value.length < (schema.minLength ?? 0)) {
+    errors.push(`${at}: must not be empty`);
+  }
+  if (typeof value === "number" && value < (schema.minimum ?? -Infinity)) {
+    errors.push(`${at}: must be at least ${schema.minimum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.items) {
+      value.forEach((item, i) =>
+        errors.push(...validate(item, schema.items, root, pathTo(path, i))),
+      );
+    }
+    if (schema.uniqueItems) {
+      const seen = value.map((item) => JSON.stringify(item));
+      if (new Set(seen).size !== seen.length) {
+        errors.push(`${at}: must not contain duplicates`);
+      }
+    }
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${pathTo(path, key).replace(/^\./, "")}: missing`);
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = pathTo(path, key);
+      if (properties[key]) {
+        errors.push(...validate(child, properties[key], root, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${childPath.replace(/^\./, "")}: unknown property`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validate(child, schema.additionalProperties, root, childPath),
+        );
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Schema problems in a PRD, plus duplicate story ids (which JSON Schema
+ * can't express). Empty when the PRD is valid.
+ */
+export function validatePrd(prd) {
+  const errors = validate(prd, loadSchema("prd"));
+  const seen = new Set();
+  for (const story of Array.isArray(prd?.userStories) ? prd.userStories : []) {
+    if (seen.has(story?.id)) errors.push(`Duplicate story id ${story.id}`);
+    seen.add(story?.id);
+  }
+  return errors;
+}
+
+export function validateConfig(config) {
+  return validate(config, loadSchema("config"));
+}
+
+// Parse and validate a JSON file in one go: { value, errors }, where a file
+// that doesn't parse gets value null and the parse error
+export function validateJsonFile(path, validator) {
+  if (!existsSync(path)) return { value: null, errors: ["file not found"] };
+  let value;
+  try {
+    value = JSON.parse(readFileSync(path, "utf-8"));
+  } catch (err) {
+    return { value: null, errors: [`not valid JSON: ${err.message}`] };
+  }
+  return { value, errors: validator(value) };
+}
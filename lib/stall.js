@@ -0,0 +1,97 @@
+import { execSync } from "child_process";
+
+export const STALL_ACTIONS = ["retry", "skip", "abort"];
+
+export const DEFAULT_STALL_CONFIG = {
+  noOutputMinutes: 20,
+  noChangesMinutes: 30,
+  action: "retry",
+};
+
+// git status is too slow to run on every spinner tick
+const TREE_POLL_MS = 30 * 1000;
+
+export function resolveStallConfig(stall = {}) {
+  const resolved = { ...DEFAULT_STALL_CONFIG, ...stall };
+  if (!STALL_ACTIONS.includes(resolved.action)) {
+    throw new Error(
+      `Unknown stall action "${resolved.action}" (expected one of: ${STALL_ACTIONS.join(", ")})`,
+    );
+  }
+  return resolved;
+}
+
+// Changes whenever a file is edited, staged or committed; null outside git
+export function getWorkingTreeFingerprint(cwd = process.cwd()) {
+  try {
+    return execSync("git status --porcelain && git diff HEAD --stat", {
+      cwd,
+      stdio: "pipe",
+    }).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Watch a running agent for signs it has hung. Call onOutput() whenever the
+ * agent writes something and check() periodically; check() returns
+ * { reason, detail } once a limit is exceeded. A limit of 0 disables it.
+ */
+export function createStallWatchdog({
+  noOutputMinutes,
+  noChangesMinutes,
+  cwd = process.cwd(),
+  now = Date.now,
+}) {
+  let lastOutputAt = now();
+  let lastChangeAt = now();
+  let lastTreePollAt = now();
+  let fingerprint = noChangesMinutes ? getWorkingTreeFingerprint(cwd) : null;
+
+  return {
+    onOutput() {
+      lastOutputAt = now();
+    },
+    check() {
+      const time = now();
+      if (noOutputMinutes && time - lastOutputAt > noOutputMinutes * 60000) {
+        return {
+          reason: "no-output",
+          detail: `No output for ${noOutputMinutes} minutes`,
+        };
+      }
+      if (fingerprint === null || time - lastTreePollAt < TREE_POLL_MS) {
+        return null;
+      }
+      lastTreePollAt = time;
+      const current = getWorkingTreeFingerprint(cwd);
+      if (current !== fingerprint) {
+        fingerprint = current;
+        lastChangeAt = time;
+      } else if (time - lastChangeAt > noChangesMinutes * 60000) {
+        return {
+          reason: "no-changes",
+          detail: `No working tree changes for ${noChangesMinutes} minutes`,
+        };
+      }
+      return null;
+    },
+  };
+}
+
+// An iteration that ends without a commit or any PRD edit achieved nothing.
+// One cut short by a timeout is reported as that instead.
+export function detectNoProgress(record) {
+  if (
+    record.timeout ||
+    record.headBefore !== record.headAfter ||
+    record.prdChanged
+  ) {
+    return null;
+  }
+  return {
+    reason: "no-progress",
+    detail: "Iteration ended with no new commit and no prd.json change",
+  };
+}
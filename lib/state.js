@@ -0,0 +1,228 @@
+import { join, dirname, basename } from "path";
+import { hostname } from "os";
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  writeFileSync,
+  renameSync,
+  unlinkSync,
+  linkSync,
+} from "fs";
+
+/**
+ * Replace a file so readers only ever see the old or the new contents: the
+ * data goes to a temp file beside it, which is then renamed over it.
+ */
+export function writeFileAtomic(path, contents) {
+  const tempPath = join(dirname(path), `.${basename(path)}.${process.pid}.tmp`);
+  try {
+    writeFileSync(tempPath, contents);
+    renameSync(tempPath, path);
+  } catch (err) {
+    try {
+      unlinkSync(tempPath);
+    } catch {
+      // Never created
+    }
+    throw err;
+  }
+}
+
+export function writeJsonAtomic(path, value) {
+  writeFileAtomic(path, JSON.stringify(value, null, 2));
+}
+
+// How often a lock holder refreshes heartbeatAt, and how long without one
+// before a lock from another machine counts as abandoned
+export const LOCK_HEARTBEAT_MS = 30000;
+export const LOCK_STALE_MS = 5 * 60000;
+
+export function getLockPath(ralphDir) {
+  return join(ralphDir, "locks", "ralph.lock");
+}
+
+function readLockFile(path) {
+  try {
+    return JSON.parse(readFileSync(path, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+export function readLock(ralphDir) {
+  return readLockFile(getLockPath(ralphDir));
+}
+
+// A process here can be checked directly. One on another machine (e.g. the
+// loop inside the sandy container) can't, so it is live as long as it keeps
+// its heartbeat up - a hard-killed run stops blocking after LOCK_STALE_MS.
+function isLive(holder) {
+  if (holder.host !== hostname()) {
+    const beat = Date.parse(holder.heartbeatAt || holder.startedAt);
+    return Date.now() - beat < LOCK_STALE_MS;
+  }
+  try {
+    process.kill(holder.pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+function isSameHolder(a, b) {
+  return (
+    a?.pid === b?.pid && a?.host === b?.host && a?.startedAt === b?.startedAt
+  );
+}
+
+function isOurs(holder) {
+  return holder?.pid === process.pid && holder?.host === hostname();
+}
+
+// The live holder of the lock, if someone other than this process has it
+export function getLockHolder(ralphDir) {
+  const holder = readLock(ralphDir);
+  if (!holder || !isLive(holder)) return null;
+  return isOurs(holder) ? null : holder;
+}
+
+export function describeLockHolder(holder, ralphDir) {
+  return [
+    `Another ralph is using .ralph/: \`ralph ${holder.command}\` (pid ${holder.pid} on ${holder.host}, since ${holder.startedAt}).`,
+    holder.host === hostname()
+      ? `If it is no longer running, delete ${getLockPath(ralphDir)}`
+      : `If it is no longer running, delete ${getLockPath(ralphDir)} or wait ${LOCK_STALE_MS / 60000} minutes from its last heartbeat (${holder.heartbeatAt || holder.startedAt})`,
+  ].join("\n");
+}
+
+/**
+ * Move a dead holder's lock out of the way. The lock is renamed aside before
+ * it is deleted, so of several processes taking over the same stale lock
+ * only one gets it; if what was renamed turns out to be a newer lock than
+ * the stale one we read, it is put back. Returns false in that case.
+ */
+function removeStaleLock(lockPath, stale) {
+  const asidePath = `${lockPath}.${process.pid}.stale`;
+  try {
+    renameSync(lockPath, asidePath);
+  } catch (err) {
+    // Someone else already moved it
+    if (err.code === "ENOENT") return true;
+    throw err;
+  }
+  const moved = readLockFile(asidePath);
+  if (isSameHolder(moved, stale)) {
+    unlinkSync(asidePath);
+    return true;
+  }
+  try {
+    // Fails if yet another lock has appeared since, which then stands
+    linkSync(asidePath, lockPath);
+  } catch {
+    // Leave that one be
+  }
+  unlinkSync(asidePath);
+  return false;
+}
+
+// Someone else took the lock between our check and our write
+function lockTakenError(ralphDir) {
+  const winner = readLock(ralphDir);
+  return new Error(
+    winner
+      ? describeLockHolder(winner, ralphDir)
+      : `Couldn't take ${getLockPath(ralphDir)}`,
+  );
+}
+
+let depth = 0;
+let lockedDir = null;
+let heartbeat = null;
+const releaseOnExit = () => removeLock(lockedDir);
+
+// Keep heartbeatAt fresh so other machines know the lock is still held,
+// stopping if the lock was taken over after all
+function startHeartbeat(ralphDir) {
+  heartbeat = setInterval(() => {
+    const holder = readLock(ralphDir);
+    if (!isOurs(holder)) {
+      clearInterval(heartbeat);
+      return;
+    }
+    try {
+      writeJsonAtomic(getLockPath(ralphDir), {
+        ...holder,
+        heartbeatAt: new Date().toISOString(),
+      });
+    } catch {
+      // Try again next beat
+    }
+  }, LOCK_HEARTBEAT_MS).unref();
+}
+
+/**
+ * Hold .ralph/locks/ralph.lock while changing state files, so two runs, or a
+ * run and `ralph gh sync`, can't overwrite each other's work. Re-entrant
+ * within a process. A lock left by a process that died on this machine, or
+ * one from another machine whose heartbeat stopped, is taken over; one held
+ * by a live process throws with who holds it. Returns a function that
+ * releases the lock.
+ */
+export function acquireLock(ralphDir, command) {
+  const lockPath = getLockPath(ralphDir);
+  if (depth === 0) {
+    mkdirSync(dirname(lockPath), { recursive: true });
+    // Agents commit with `git add -A`
+    if (!existsSync(join(dirname(lockPath), ".gitignore"))) {
+      writeFileSync(join(dirname(lockPath), ".gitignore"), "*\n");
+    }
+    // Read once: the lock judged dead is the one removed, never a newer one
+    const current = readLock(ralphDir);
+    if (current && isLive(current) && !isOurs(current)) {
+      throw new Error(describeLockHolder(current, ralphDir));
+    }
+
+    const now = new Date().toISOString();
+    const lock = {
+      pid: process.pid,
+      host: hostname(),
+      command,
+      startedAt: now,
+      heartbeatAt: now,
+    };
+    if (current && !removeStaleLock(lockPath, current)) {
+      throw lockTakenError(ralphDir);
+    }
+    try {
+      writeFileSync(lockPath, JSON.stringify(lock, null, 2), { flag: "wx" });
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      throw lockTakenError(ralphDir);
+    }
+    lockedDir = ralphDir;
+    process.once("exit", releaseOnExit);
+    startHeartbeat(ralphDir);
+  }
+  depth++;
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    if (--depth === 0) {
+      clearInterval(heartbeat);
+      process.off("exit", releaseOnExit);
+      removeLock(ralphDir);
+    }
+  };
+}
+
+function removeLock(ralphDir) {
+  if (!isOurs(readLock(ralphDir))) return;
+  try {
+    unlinkSync(getLockPath(ralphDir));
+  } catch {
+    // Already gone
+  }
+}
@@ -0,0 +1,35 @@
+export function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+// Sum usage records; a null cost (agent doesn't report one) counts as 0
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    inputTokens: total.inputTokens + (usage.inputTokens || 0),
+    outputTokens: total.outputTokens + (usage.outputTokens || 0),
+    totalTokens: total.totalTokens + (usage.totalTokens || 0),
+    costUsd: total.costUsd + (usage.costUsd || 0),
+  };
+}
+
+/**
+ * Returns a description of the exceeded limit, or null while within budget.
+ * Only agents that report cost count towards maxUsd.
+ */
+export function checkBudget(usage, budget = {}) {
+  if (!usage) return null;
+  if (budget.maxTokens && usage.totalTokens >= budget.maxTokens) {
+    return `token budget reached (${usage.totalTokens.toLocaleString()} of ${budget.maxTokens.toLocaleString()})`;
+  }
+  if (budget.maxUsd && usage.costUsd >= budget.maxUsd) {
+    return `cost budget reached ($${usage.costUsd.toFixed(2)} of $${budget.maxUsd.toFixed(2)})`;
+  }
+  return null;
+}
+
+export function formatUsage(usage) {
+  if (!usage) return "no usage reported";
+  const cost = usage.costUsd ? `, $${usage.costUsd.toFixed(2)}` : "";
+  return `${usage.totalTokens.toLocaleString()} tokens${cost}`;
+}
@@ -0,0 +1,141 @@
+import { join } from "path";
+import { existsSync, mkdirSync, writeFileSync, copyFileSync } from "fs";
+import { execSync } from "child_process";
+import { branchExists } from "./branches.js";
+
+function git(cwd, command) {
+  return execSync(`git ${command}`, { cwd, stdio: "pipe" }).toString().trim();
+}
+
+export function getWorktreesDir(ralphDir) {
+  return join(ralphDir, "worktrees");
+}
+
+// Scratch branch for a parallel worker: merged locally and deleted, never
+// pushed, so it doesn't follow git.branchTemplate
+export function getWorkerBranch(storyId) {
+  return `ralph/${storyId}`;
+}
+
+// Where a story's worker works: .ralph/worktrees/<storyId>, on its worker
+// branch
+export function getWorktree(ralphDir, storyId) {
+  return {
+    path: join(getWorktreesDir(ralphDir), storyId),
+    branch: getWorkerBranch(storyId),
+  };
+}
+
+/**
+ * Check out a fresh ralph/<storyId> branch from baseRef in
+ * .ralph/worktrees/<storyId>. Anything left over from an earlier attempt at
+ * the story is thrown away first.
+ */
+export function createWorktree(ralphDir, cwd, storyId, baseRef) {
+  prepareWorktreesDir(ralphDir);
+  const { path, branch } = getWorktree(ralphDir, storyId);
+  removeWorktree(cwd, { path, branch });
+  git(cwd, `worktree add -b "${branch}" "${path}" ${baseRef}`);
+  return { path, branch };
+}
+
+/**
+ * Check out a story's own branch (see getStoryBranchName) in
+ * .ralph/worktrees/<storyId>, for runs that open a PR per story. The branch
+ * is made from startPoint the first time and never deleted: it's the PR's
+ * head, and a later attempt at the story carries on from it.
+ */
+export function createStoryWorktree(
+  ralphDir,
+  cwd,
+  storyId,
+  branch,
+  startPoint,
+) {
+  prepareWorktreesDir(ralphDir);
+  const { path } = getWorktree(ralphDir, storyId);
+  removeWorktree(cwd, { path, branch }, { keepBranch: true });
+  git(
+    cwd,
+    branchExists(cwd, branch)
+      ? `worktree add "${path}" "${branch}"`
+      : `worktree add -b "${branch}" "${path}" ${startPoint}`,
+  );
+  return { path, branch };
+}
+
+function prepareWorktreesDir(ralphDir) {
+  const worktreesDir = getWorktreesDir(ralphDir);
+  mkdirSync(worktreesDir, { recursive: true });
+  if (!existsSync(join(worktreesDir, ".gitignore"))) {
+    writeFileSync(join(worktreesDir, ".gitignore"), "*\n");
+  }
+}
+
+export function removeWorktree(cwd, { path, branch }, { keepBranch } = {}) {
+  for (const command of [
+    `worktree remove --force "${path}"`,
+    "worktree prune",
+    ...(keepBranch ? [] : [`branch -D "${branch}"`]),
+  ]) {
+    try {
+      git(cwd, command);
+    } catch {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * Give a worktree its own copy of the Ralph state files the agents read and
+ * write. Agents commit with `git add -A`, so the copies must never end up in
+ * the worker's commits: tracked ones are marked skip-worktree and the rest
+ * are ignored.
+ */
+export function copyRalphState(ralphDir, worktreePath, files) {
+  const workerRalphDir = join(worktreePath, ".ralph");
+  mkdirSync(workerRalphDir, { recursive: true });
+  for (const file of [...files, ".gitignore"]) {
+    const relative = `.ralph/${file}`;
+    try {
+      git(worktreePath, `ls-files --error-unmatch "${relative}"`);
+      git(worktreePath, `update-index --skip-worktree "${relative}"`);
+    } catch {
+      // Untracked - covered by the .gitignore below
+    }
+  }
+  for (const file of files) {
+    if (existsSync(join(ralphDir, file))) {
+      copyFileSync(join(ralphDir, file), join(workerRalphDir, file));
+    }
+  }
+  writeFileSync(join(workerRalphDir, ".gitignore"), "*\n");
+  return workerRalphDir;
+}
+
+export function hasCommitsSince(cwd, branch, baseRef) {
+  try {
+    return git(cwd, `rev-list --count ${baseRef}.."${branch}"`) !== "0";
+  } catch {
+    return false;
+  }
+}
+
+// Merge a worker's branch into the current branch. A conflicting merge is
+// aborted rather than left half-done, so the next worker can still merge.
+export function mergeWorkerBranch(cwd, branch) {
+  try {
+    git(cwd, `merge --no-ff --no-edit "${branch}"`);
+    return { merged: true };
+  } catch (err) {
+    try {
+      git(cwd, "merge --abort");
+    } catch {
+      // Nothing to abort
+    }
+    return {
+      merged: false,
+      error: err.stderr?.toString().trim() || err.message,
+    };
+  }
+}
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  cleanBranchName,
+  getStoryBranchName,
+  validateBranchTemplate,
+} from "../lib/branches.js";
+
+const story = { id: "US-001", title: "Add login: email & password!" };
+
+test("getStoryBranchName defaults to the id and a slug of the title", () => {
+  assert.equal(getStoryBranchName(story), "US-001-add-login-email-password");
+  assert.equal(
+    getStoryBranchName(story, { branchPrefix: "feat/" }),
+    "feat/US-001-add-login-email-password",
+  );
+});
+
+test("getStoryBranchName fills in the template's tokens", () => {
+  const gitConfig = { branchTemplate: "{ticketId}/{slug:9}" };
+  assert.equal(
+    getStoryBranchName({ ...story, ticketId: 42 }, gitConfig),
+    "42/add-login",
+  );
+  assert.equal(getStoryBranchName(story, gitConfig), "US-001/add-login");
+  assert.equal(
+    getStoryBranchName(
+      { ...story, githubIssue: 7 },
+      { branchTemplate: "issue-{issue}-{id}" },
+    ),
+    "issue-7-US-001",
+  );
+});
+
+test("getStoryBranchName drops the separators an empty token leaves", () => {
+  assert.equal(
+    getStoryBranchName(story, { branchTemplate: "{issue}-{id}" }),
+    "US-001",
+  );
+  assert.equal(
+    getStoryBranchName(story, { branchTemplate: "{prefix}/{id}" }),
+    "US-001",
+  );
+});
+
+test("cleanBranchName removes what git won't take", () => {
+  assert.equal(cleanBranchName("feat/a b~c^d:e?f*g[h"), "feat/a-b-c-d-e-f-g-h");
+  assert.equal(cleanBranchName("a..b/@{c}"), "a-b/c}");
+  assert.equal(cleanBranchName("-x-/.hidden/name.lock"), "x/hidden/name");
+  assert.equal(cleanBranchName("a//b/"), "a/b");
+});
+
+test("validateBranchTemplate needs a token that differs per story", () => {
+  assert.doesNotThrow(() => validateBranchTemplate());
+  assert.doesNotThrow(() => validateBranchTemplate("{ticketId}"));
+  assert.throws(() => validateBranchTemplate("{slug}"), /must include \{id\}/);
+  assert.throws(
+    () => validateBranchTemplate("{id}-{name}"),
+    /unknown token \{name\}/,
+  );
+});
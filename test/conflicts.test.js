@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "fs";
+import { join } from "path";
+import { rebaseStoryBranch } from "../lib/loop.js";
+import {
+  createProject,
+  git,
+  makeTempDir,
+  registerScriptAgent,
+  story,
+} from "./helpers.js";
+
+// Fetching is the host's job; origin is a local bare repo here
+const host = { call: async () => {} };
+
+function commitFile(cwd, file, contents) {
+  writeFileSync(join(cwd, file), contents);
+  git(cwd, ["add", file]);
+  git(cwd, ["commit", "-q", "-m", `Write ${file}`]);
+}
+
+// US-001's branch changes README.md, then main moves on without it -
+// changing the same line when `conflicting`
+function createMovedBase({ conflicting }) {
+  const { cwd } = createProject([], { origin: true });
+  git(cwd, ["checkout", "-q", "-b", "US-001-story"]);
+  commitFile(cwd, "README.md", "the story's readme\n");
+  git(cwd, ["checkout", "-q", "main"]);
+  if (conflicting) commitFile(cwd, "README.md", "main's readme\n");
+  else commitFile(cwd, "other.txt", "main's other file\n");
+  git(cwd, ["push", "-q", "origin", "main"]);
+  git(cwd, ["checkout", "-q", "US-001-story"]);
+  return {
+    cwd,
+    story: story("US-001", {
+      passes: true,
+      branch: "US-001-story",
+      baseBranch: "main",
+    }),
+  };
+}
+
+function rebase(cwd, s, { agent = "unused-agent", qualityChecks = [] } = {}) {
+  return rebaseStoryBranch(cwd, s, {
+    agent,
+    agentOptions: {},
+    outputPath: join(makeTempDir(), "conflict.log"),
+    qualityChecks,
+    host,
+  });
+}
+
+test("a clean rebase onto a moved base needs no agent", async () => {
+  const { cwd, story: s } = createMovedBase({ conflicting: false });
+  const result = await rebase(cwd, s);
+  assert.equal(result.resolved, true);
+  assert.deepEqual(result.files, []);
+  assert.equal(
+    git(cwd, ["merge-base", "--is-ancestor", "origin/main", "HEAD"]),
+    "",
+  );
+});
+
+test("a check failing after a clean rebase doesn't blame conflicts", async () => {
+  const { cwd, story: s } = createMovedBase({ conflicting: false });
+  const tip = git(cwd, ["rev-parse", "HEAD"]);
+  const result = await rebase(cwd, s, { qualityChecks: ["exit 1"] });
+  assert.equal(result.resolved, false);
+  assert.equal(result.reason, "`exit 1` failed after rebasing");
+  assert.equal(git(cwd, ["rev-parse", "HEAD"]), tip);
+});
+
+test("the agent resolves conflicts and the rebase carries on", async () => {
+  registerScriptAgent(
+    "resolving-agent",
+    `const fs = require("fs");
+fs.writeFileSync("README.md", "both readmes\\n");
+require("child_process").execSync("git add README.md");`,
+  );
+  const { cwd, story: s } = createMovedBase({ conflicting: true });
+  const result = await rebase(cwd, s, { agent: "resolving-agent" });
+  assert.equal(result.resolved, true);
+  assert.deepEqual(result.files, ["README.md"]);
+  assert.equal(result.rounds, 1);
+  assert.equal(readFileSync(join(cwd, "README.md"), "utf-8"), "both readmes\n");
+  assert.equal(git(cwd, ["status", "--porcelain"]), "");
+});
+
+test("conflicts the agent leaves behind undo the rebase", async () => {
+  registerScriptAgent("giving-up-agent", "console.log('no idea')");
+  const { cwd, story: s } = createMovedBase({ conflicting: true });
+  const tip = git(cwd, ["rev-parse", "HEAD"]);
+  const result = await rebase(cwd, s, { agent: "giving-up-agent" });
+  assert.equal(result.resolved, false);
+  assert.equal(result.reason, "the agent left conflicts in README.md");
+  assert.equal(git(cwd, ["rev-parse", "HEAD"]), tip);
+  assert.equal(
+    readFileSync(join(cwd, "README.md"), "utf-8"),
+    "the story's readme\n",
+  );
+});
+
+test("a check failing after resolving conflicts says so", async () => {
+  registerScriptAgent(
+    "sloppy-agent",
+    `require("fs").writeFileSync("README.md", "merged\\n");
+require("child_process").execSync("git add README.md");`,
+  );
+  const { cwd, story: s } = createMovedBase({ conflicting: true });
+  const result = await rebase(cwd, s, {
+    agent: "sloppy-agent",
+    qualityChecks: ["exit 1"],
+  });
+  assert.equal(result.resolved, false);
+  assert.equal(result.reason, "`exit 1` failed after resolving the conflicts");
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  classifyFailure,
+  isTransientFailure,
+  countsTowardFallback,
+  getBackoffSeconds,
+} from "../lib/failures.js";
+
+test("classifyFailure prefers the kind the output showed", () => {
+  const parsed = { error: { kind: "rate-limit" } };
+  assert.equal(classifyFailure({ parsed, exitCode: 1 }), "rate-limit");
+  assert.equal(
+    classifyFailure({ parsed: { error: { kind: "error" } }, exitCode: 0 }),
+    "crash",
+  );
+  assert.equal(
+    classifyFailure({ parsed: { error: null }, exitCode: 2 }),
+    "crash",
+  );
+  assert.equal(classifyFailure({ parsed: { error: null }, exitCode: 0 }), null);
+});
+
+test("stalled and timed-out agents aren't crashes", () => {
+  const killed = { parsed: { error: null }, exitCode: null };
+  assert.equal(
+    classifyFailure({ ...killed, stall: { kind: "no-output" } }),
+    "stall",
+  );
+  assert.equal(classifyFailure({ ...killed, timedOut: true }), "timeout");
+  assert.equal(countsTowardFallback("stall"), false);
+  assert.equal(countsTowardFallback("timeout"), false);
+  assert.equal(countsTowardFallback("crash"), true);
+  assert.equal(countsTowardFallback(null), false);
+});
+
+test("only rate limits, overloads and network errors are transient", () => {
+  assert.equal(isTransientFailure("rate-limit"), true);
+  assert.equal(isTransientFailure("network"), true);
+  assert.equal(isTransientFailure("auth"), false);
+  assert.equal(isTransientFailure("crash"), false);
+});
+
+test("getBackoffSeconds doubles up to maxSeconds", () => {
+  const backoff = { initialSeconds: 10, maxSeconds: 60 };
+  assert.deepEqual(
+    [1, 2, 3, 4, 5].map((retry) => getBackoffSeconds(retry, backoff)),
+    [10, 20, 40, 60, 60],
+  );
+  assert.equal(getBackoffSeconds(1), 30);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  getStoryStates,
+  checkDependencies,
+  renderMermaid,
+  renderDot,
+} from "../lib/graph.js";
+import { story } from "./helpers.js";
+
+test("getStoryStates tells ready stories from waiting ones", () => {
+  const prd = {
+    userStories: [
+      story("US-1", { passes: true }),
+      story("US-2"),
+      story("US-3", { blocked: true }),
+      story("US-4", { dependsOn: ["US-1"] }),
+      story("US-5", { dependsOn: ["US-2"] }),
+    ],
+  };
+  assert.deepEqual(Object.fromEntries(getStoryStates(prd)), {
+    "US-1": "passed",
+    "US-2": "ready",
+    "US-3": "blocked",
+    "US-4": "ready",
+    "US-5": "waiting",
+  });
+});
+
+test("a passed story whose PR hasn't merged shows as merging", () => {
+  const prd = {
+    userStories: [
+      story("US-1", { passes: true, awaitingMerge: true }),
+      story("US-2", { dependsOn: ["US-1"] }),
+    ],
+  };
+  assert.deepEqual(Object.fromEntries(getStoryStates(prd)), {
+    "US-1": "merging",
+    "US-2": "waiting",
+  });
+});
+
+test("checkDependencies reports duplicates, unknown ids and cycles", () => {
+  const prd = {
+    userStories: [
+      story("US-1", { dependsOn: ["US-2"] }),
+      story("US-2", { dependsOn: ["US-1"] }),
+      story("US-3", { dependsOn: ["US-9"] }),
+      story("US-3"),
+    ],
+  };
+  assert.deepEqual(checkDependencies(prd).errors, [
+    "Duplicate story id US-3",
+    "US-3 depends on unknown story US-9",
+    "Dependency cycle: US-1 → US-2 → US-1",
+  ]);
+});
+
+test("checkDependencies warns about stories stuck behind a blocked one", () => {
+  const prd = {
+    userStories: [
+      story("US-1", { blocked: true }),
+      story("US-2", { dependsOn: ["US-1"] }),
+      story("US-3", { dependsOn: ["US-1"], passes: true }),
+    ],
+  };
+  assert.deepEqual(checkDependencies(prd), {
+    errors: [],
+    warnings: ["US-2 waits on blocked story US-1"],
+  });
+});
+
+test("renderMermaid and renderDot draw an edge per dependency", () => {
+  const prd = {
+    userStories: [
+      story("US-1", { passes: true }),
+      story("US-2", { dependsOn: ["US-1", "US-9"] }),
+    ],
+  };
+  const mermaid = renderMermaid(prd).split("\n");
+  assert.ok(mermaid.includes('  US_2["US-2: US-2"]:::waiting'));
+  assert.ok(mermaid.includes('  US_9["US-9 (missing)"]:::missing'));
+  assert.ok(mermaid.includes("  US_1 --> US_2"));
+
+  const dot = renderDot(prd);
+  assert.match(dot, /"US-1" -> "US-2";/);
+  assert.match(dot, /"US-9" \[label="US-9\\n\(missing\)", style="dashed"/);
+});
@@ -0,0 +1,155 @@
+import { after } from "node:test";
+import { execFileSync } from "child_process";
+import {
+  mkdtempSync,
+  mkdirSync,
+  writeFileSync,
+  readFileSync,
+  rmSync,
+} from "fs";
+import { tmpdir } from "os";
+import { delimiter, join } from "path";
+import { registerAgent } from "../lib/agents.js";
+
+const tempDirs = [];
+after(() =>
+  tempDirs.forEach((dir) => rmSync(dir, { recursive: true, force: true })),
+);
+
+export function makeTempDir(prefix = "ralph-test-") {
+  const dir = mkdtempSync(join(tmpdir(), prefix));
+  tempDirs.push(dir);
+  return dir;
+}
+
+export function story(id, fields = {}) {
+  return { id, title: id, acceptanceCriteria: [], passes: false, ...fields };
+}
+
+export function readJson(path) {
+  return JSON.parse(readFileSync(path, "utf-8"));
+}
+
+export function git(cwd, args) {
+  return execFileSync("git", args, { cwd, encoding: "utf-8" }).trim();
+}
+
+/**
+ * A git repo with a .ralph/ set up for the loop: prd.json holding
+ * `stories`, a prompt.md (what test agents read) and progress.txt, all
+ * committed on main. No review-prompt.md, so iterations aren't reviewed.
+ */
+export function createProject(stories, { origin = false } = {}) {
+  const cwd = makeTempDir("ralph-project-");
+  git(cwd, ["init", "-q", "-b", "main"]);
+  git(cwd, ["config", "user.name", "Ralph Test"]);
+  git(cwd, ["config", "user.email", "ralph@example.com"]);
+  const ralphDir = join(cwd, ".ralph");
+  mkdirSync(ralphDir);
+  writeFileSync(
+    join(ralphDir, "prd.json"),
+    JSON.stringify({ userStories: stories }, null, 2),
+  );
+  writeFileSync(join(ralphDir, "prompt.md"), "Do the story.\n");
+  writeFileSync(join(ralphDir, "progress.txt"), "");
+  writeFileSync(join(cwd, "README.md"), "test project\n");
+  git(cwd, ["add", "-A"]);
+  git(cwd, ["commit", "-q", "-m", "init"]);
+  if (origin) {
+    const remote = makeTempDir("ralph-origin-");
+    git(remote, ["init", "-q", "--bare"]);
+    git(cwd, ["remote", "add", "origin", remote]);
+    git(cwd, ["push", "-q", "origin", "main"]);
+  }
+  return { cwd, ralphDir, prdPath: join(ralphDir, "prd.json") };
+}
+
+// Script agents get the prompt as process.argv[1]; this finds the story the
+// runner assigned in it (see withStoryAssignment)
+const ASSIGNED_STORY = `const storyId = process.argv[1].match(/Ralph has chosen \\*\\*([^:]+):/)[1];`;
+
+// Marks the assigned story as passing after committing `<file>` (the
+// story's `<id>.txt` by default) with `contents` in it (the story id)
+export function passingAgent({ file, contents } = {}) {
+  return `${ASSIGNED_STORY}
+const fs = require("fs");
+const { execSync } = require("child_process");
+const file = ${JSON.stringify(file)} || storyId + ".txt";
+fs.writeFileSync(file, ${JSON.stringify(contents)} || storyId);
+const prd = JSON.parse(fs.readFileSync(".ralph/prd.json", "utf-8"));
+prd.userStories.find((s) => s.id === storyId).passes = true;
+fs.writeFileSync(".ralph/prd.json", JSON.stringify(prd, null, 2));
+execSync("git add " + file + " && git commit -q -m " + storyId);
+console.log("worked on " + storyId);`;
+}
+
+// Register an agent that runs `script` with node in the project
+export function registerScriptAgent(id, script) {
+  registerAgent(id, {
+    loginCommand: "true",
+    isInstalled: () => true,
+    buildCommand: (prompt) => ({
+      command: process.execPath,
+      args: ["-e", script, prompt],
+    }),
+  });
+}
+
+const FAKE_GH = `#!${process.execPath}
+// Just enough of gh for the runner: pr create, view and edit, with the PRs
+// kept in $RALPH_TEST_GH_STATE
+const fs = require("fs");
+const statePath = process.env.RALPH_TEST_GH_STATE;
+const state = JSON.parse(fs.readFileSync(statePath, "utf-8"));
+const [command, action, ...args] = process.argv.slice(2);
+const flag = (name) => args[args.indexOf(name) + 1];
+const save = () => fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+if (command !== "pr") process.exit(1);
+if (action === "create") {
+  const number = state.next++;
+  state.pullRequests[number] = {
+    state: "OPEN",
+    mergedAt: null,
+    headRefName: flag("--head"),
+    baseRefName: flag("--base"),
+    title: flag("--title"),
+  };
+  save();
+  console.log("https://github.com/acme/app/pull/" + number);
+} else if (action === "view") {
+  const pr = state.pullRequests[args[0]];
+  if (!pr) {
+    console.error("no pull requests found");
+    process.exit(1);
+  }
+  console.log(JSON.stringify(pr));
+} else if (action === "edit") {
+  state.pullRequests[args[0]].baseRefName = flag("--base");
+  save();
+}
+`;
+
+/**
+ * Put a fake gh first on PATH for everything this process runs, with no
+ * PRs yet. Returns { pullRequests(), setState(number, state) } to look at
+ * and change the PRs it has opened.
+ */
+export function installFakeGh() {
+  const binDir = makeTempDir("ralph-bin-");
+  writeFileSync(join(binDir, "gh"), FAKE_GH, { mode: 0o755 });
+  const statePath = join(binDir, "state.json");
+  writeFileSync(statePath, JSON.stringify({ next: 1, pullRequests: {} }));
+  process.env.PATH = `${binDir}${delimiter}${process.env.PATH}`;
+  process.env.RALPH_TEST_GH_STATE = statePath;
+  return {
+    pullRequests: () => readJson(statePath).pullRequests,
+    setState(number, prState) {
+      const state = readJson(statePath);
+      Object.assign(state.pullRequests[number], {
+        state: prState,
+        mergedAt: prState === "MERGED" ? new Date().toISOString() : null,
+      });
+      writeFileSync(statePath, JSON.stringify(state));
+    },
+  };
+}
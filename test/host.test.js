@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readdirSync, unlinkSync } from "fs";
+import { join } from "path";
+import { createHostClient, serveHostRequests } from "../lib/host.js";
+import { createProject, git, installFakeGh, story } from "./helpers.js";
+
+const gh = installFakeGh();
+
+function pushStoryBranch(cwd, branch) {
+  git(cwd, ["checkout", "-q", "-b", branch]);
+  git(cwd, ["commit", "-q", "--allow-empty", "-m", branch]);
+}
+
+test("a bridged client's requests are run by whoever serves them", async () => {
+  const { cwd, ralphDir } = createProject([], { origin: true });
+  pushStoryBranch(cwd, "US-001-login");
+  const stopServing = serveHostRequests(ralphDir);
+  try {
+    const host = createHostClient(ralphDir, { bridged: true });
+    await host.call("fetch");
+    const number = await host.call("create-pull-request", {
+      story: story("US-001", { branch: "US-001-login" }),
+      base: "main",
+    });
+    assert.equal(gh.pullRequests()[number].headRefName, "US-001-login");
+    assert.equal(
+      git(cwd, ["ls-remote", "--heads", "origin", "US-001-login"]).length > 0,
+      true,
+    );
+    assert.equal(
+      (await host.call("get-pull-request", { number })).state,
+      "OPEN",
+    );
+    await assert.rejects(
+      host.call("get-pull-request", { number: 999 }),
+      /no pull requests found/,
+    );
+    await assert.rejects(host.call("rebase"), /Unknown host operation: rebase/);
+  } finally {
+    stopServing();
+  }
+  // Requests and responses are cleaned up as they're answered
+  assert.deepEqual(readdirSync(join(ralphDir, "host")), [".gitignore"]);
+});
+
+test("a bridged request nobody picks up fails and is withdrawn", async () => {
+  const { ralphDir } = createProject([]);
+  const host = createHostClient(ralphDir, { bridged: true, pickupMs: 600 });
+  await assert.rejects(host.call("fetch"), /Nothing on the host answered/);
+  assert.deepEqual(readdirSync(join(ralphDir, "host")), [".gitignore"]);
+});
+
+test("a request picked up but never answered times out", async () => {
+  const { ralphDir } = createProject([]);
+  const host = createHostClient(ralphDir, { bridged: true, timeoutMs: 1500 });
+  const request = host.call("fetch");
+  // Taken by a host that then dies without answering
+  const hostDir = join(ralphDir, "host");
+  const taken = readdirSync(hostDir).find((f) => f.endsWith(".request.json"));
+  unlinkSync(join(hostDir, taken));
+  await assert.rejects(request, /didn't finish fetch/);
+});
+
+test("an unbridged client runs operations itself", async () => {
+  const { cwd, ralphDir } = createProject([], { origin: true });
+  const host = createHostClient(ralphDir);
+  await host.call("fetch");
+  assert.ok(existsSync(join(cwd, ".git", "refs", "remotes", "origin")));
+  await assert.rejects(host.call("fetch-all"), /Unknown host operation/);
+});
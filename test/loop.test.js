@@ -0,0 +1,220 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { join } from "path";
+import { registerAgent } from "../lib/agents.js";
+import { runAgent, runLoop } from "../lib/loop.js";
+import { readRun } from "../lib/runlog.js";
+import {
+  createProject,
+  git,
+  installFakeGh,
+  passingAgent,
+  readJson,
+  registerScriptAgent,
+  story,
+} from "./helpers.js";
+
+function runQuietly(agent, options = {}) {
+  const progress = [];
+  const result = runAgent(agent, "the prompt", {
+    label: "Working",
+    onProgress: (text) => progress.push(text),
+    ...options,
+  });
+  return { result, progress };
+}
+
+test("runAgent collects the agent's output and exit code", async () => {
+  registerScriptAgent(
+    "echo-agent",
+    "console.log('got ' + process.argv[1]); process.exit(3)",
+  );
+  const { result } = runQuietly("echo-agent");
+  const { output, exitCode, stall, timedOut } = await result;
+  assert.equal(output, "got the prompt\n");
+  assert.equal(exitCode, 3);
+  assert.equal(stall, null);
+  assert.equal(timedOut, false);
+});
+
+test("runAgent finishes once when the agent can't be started", async () => {
+  registerAgent("missing-agent", {
+    command: "ralph-test-no-such-agent",
+    isInstalled: () => false,
+  });
+  const { result, progress } = runQuietly("missing-agent");
+  const { exitCode } = await result;
+  // Give a "close" after the "error" the chance to finish again
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  assert.equal(exitCode, null);
+  const outcomes = progress.filter((text) => /[✖✔]/.test(text));
+  assert.equal(outcomes.length, 1);
+  assert.match(outcomes[0], /ENOENT/);
+});
+
+test("runAgent kills an agent that runs past its deadline", async () => {
+  registerScriptAgent("slow-agent", "setTimeout(() => {}, 60000)");
+  const { result } = runQuietly("slow-agent", { deadline: Date.now() + 300 });
+  const { timedOut, exitCode } = await result;
+  assert.equal(timedOut, true);
+  assert.equal(exitCode, null);
+});
+
+test("timed-out iterations don't switch to the fallback agent", async () => {
+  registerScriptAgent("hanging-agent", "setTimeout(() => {}, 60000)");
+  registerScriptAgent("fallback-agent", passingAgent());
+  const { cwd, prdPath } = createProject([story("US-001")]);
+  const { status, runId } = await runLoop({
+    cwd,
+    agent: "hanging-agent",
+    maxIterations: 2,
+    iterationTimeoutMinutes: 0.01,
+    agentFallbacks: ["hanging-agent", "fallback-agent"],
+    fallbackAfterFailures: 1,
+    delayMs: 0,
+  });
+  assert.equal(status, "max-iterations");
+  const run = readRun(join(cwd, ".ralph"), runId);
+  assert.equal(run.agentSwitches, undefined);
+  assert.equal(readJson(prdPath).userStories[0].passes, false);
+});
+
+test("the loop hands out stories in priority order until the PRD passes", async () => {
+  registerScriptAgent("passing-agent", passingAgent());
+  const { cwd, prdPath } = createProject([
+    story("US-001", { priority: 2 }),
+    story("US-002", { priority: 1 }),
+  ]);
+  const { status, iterations, runId } = await runLoop({
+    cwd,
+    agent: "passing-agent",
+    maxIterations: 5,
+    delayMs: 0,
+  });
+  assert.equal(status, "complete");
+  assert.equal(iterations, 2);
+  const run = readRun(join(cwd, ".ralph"), runId);
+  assert.deepEqual(
+    run.iterations.map((record) => record.storyId),
+    ["US-002", "US-001"],
+  );
+  assert.ok(readJson(prdPath).userStories.every((s) => s.passes));
+});
+
+test("a passing story's branch is pushed and its PR opened", async () => {
+  const gh = installFakeGh();
+  registerScriptAgent("branch-agent", passingAgent());
+  const { cwd, prdPath } = createProject([story("US-001")], { origin: true });
+  const { status } = await runLoop({
+    cwd,
+    agent: "branch-agent",
+    maxIterations: 2,
+    gitConfig: { provider: "github", createPRs: true },
+    delayMs: 0,
+  });
+  assert.equal(status, "complete");
+  const [passed] = readJson(prdPath).userStories;
+  assert.equal(passed.branch, "US-001-us-001");
+  assert.deepEqual(gh.pullRequests()[passed.pullRequest], {
+    state: "OPEN",
+    mergedAt: null,
+    headRefName: "US-001-us-001",
+    baseRefName: "main",
+    title: "US-001: US-001",
+  });
+  assert.match(
+    git(cwd, ["ls-remote", "--heads", "origin", passed.branch]),
+    /US-001-us-001/,
+  );
+});
+
+test("a story that depends on an unmerged one gets a stacked PR", async () => {
+  const gh = installFakeGh();
+  registerScriptAgent("stacking-agent", passingAgent());
+  const { cwd, prdPath } = createProject(
+    [story("US-001"), story("US-002", { dependsOn: ["US-001"] })],
+    { origin: true },
+  );
+  const { status } = await runLoop({
+    cwd,
+    agent: "stacking-agent",
+    maxIterations: 3,
+    gitConfig: { provider: "github", createPRs: true },
+    delayMs: 0,
+  });
+  assert.equal(status, "complete");
+  const [parent, child] = readJson(prdPath).userStories;
+  assert.equal(child.baseBranch, parent.branch);
+  assert.equal(gh.pullRequests()[child.pullRequest].baseRefName, parent.branch);
+});
+
+test("with waitForMerge, a dependent story waits for its parent's PR", async () => {
+  const gh = installFakeGh();
+  registerScriptAgent("waiting-agent", passingAgent());
+  const { cwd, prdPath } = createProject(
+    [story("US-001"), story("US-002", { dependsOn: ["US-001"] })],
+    { origin: true },
+  );
+  const gitConfig = {
+    provider: "github",
+    createPRs: true,
+    waitForMerge: true,
+    mergePoll: { initialSeconds: 0.2, maxSeconds: 0.2 },
+  };
+  // Merge each PR once the loop is waiting on it
+  const merger = setInterval(() => {
+    for (const s of readJson(prdPath).userStories) {
+      if (s.awaitingMerge) gh.setState(s.pullRequest, "MERGED");
+    }
+  }, 100);
+  try {
+    const { status } = await runLoop({
+      cwd,
+      agent: "waiting-agent",
+      maxIterations: 3,
+      gitConfig,
+      delayMs: 0,
+    });
+    assert.equal(status, "complete");
+  } finally {
+    clearInterval(merger);
+  }
+  const [parent, child] = readJson(prdPath).userStories;
+  assert.ok(parent.mergedAt);
+  // Merged, so the child branches from main rather than stacking
+  assert.equal(child.baseBranch, "main");
+});
+
+test("with waitForMerge, a PR closed unmerged blocks its story", async () => {
+  const gh = installFakeGh();
+  registerScriptAgent("closing-agent", passingAgent());
+  const { cwd, prdPath } = createProject(
+    [story("US-001"), story("US-002", { dependsOn: ["US-001"] })],
+    { origin: true },
+  );
+  const closer = setInterval(() => {
+    const parent = readJson(prdPath).userStories[0];
+    if (parent.awaitingMerge) gh.setState(parent.pullRequest, "CLOSED");
+  }, 100);
+  try {
+    const { status } = await runLoop({
+      cwd,
+      agent: "closing-agent",
+      maxIterations: 3,
+      gitConfig: {
+        provider: "github",
+        createPRs: true,
+        waitForMerge: true,
+        mergePoll: { initialSeconds: 0.2, maxSeconds: 0.2 },
+      },
+      delayMs: 0,
+    });
+    // US-002 can't start without it
+    assert.equal(status, "no-ready-stories");
+  } finally {
+    clearInterval(closer);
+  }
+  const [parent, child] = readJson(prdPath).userStories;
+  assert.equal(parent.blocked, true);
+  assert.equal(child.passes, false);
+});
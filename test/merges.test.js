@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkAwaitingMerges, getAwaitingMerge } from "../lib/merges.js";
+import { story } from "./helpers.js";
+
+// A host (see host.js) whose GitHub has the PRs in `pullRequests`
+function fakeHost(pullRequests) {
+  return {
+    call: async (op, { number }) => {
+      assert.equal(op, "get-pull-request");
+      if (!pullRequests[number]) throw new Error(`no pull request #${number}`);
+      return pullRequests[number];
+    },
+  };
+}
+
+function awaiting(id, pullRequest) {
+  return story(id, { passes: true, awaitingMerge: true, pullRequest });
+}
+
+test("a merged PR releases its story", async () => {
+  const prd = { userStories: [awaiting("US-001", 1), awaiting("US-002", 2)] };
+  const changes = await checkAwaitingMerges(
+    prd,
+    fakeHost({
+      1: { state: "MERGED", mergedAt: "2026-01-02T00:00:00Z" },
+      2: { state: "OPEN", mergedAt: null },
+    }),
+  );
+  assert.deepEqual(changes, [
+    { storyId: "US-001", pullRequest: 1, state: "MERGED" },
+  ]);
+  const [merged, open] = prd.userStories;
+  assert.equal(merged.awaitingMerge, false);
+  assert.equal(merged.mergedAt, "2026-01-02T00:00:00Z");
+  assert.equal(open.awaitingMerge, true);
+  assert.deepEqual(
+    getAwaitingMerge(prd).map((s) => s.id),
+    ["US-002"],
+  );
+});
+
+test("a PR closed without merging blocks its story", async () => {
+  const prd = { userStories: [awaiting("US-001", 1)] };
+  const changes = await checkAwaitingMerges(
+    prd,
+    fakeHost({ 1: { state: "CLOSED", mergedAt: null } }),
+  );
+  assert.equal(changes[0].state, "CLOSED");
+  const [closed] = prd.userStories;
+  assert.equal(closed.passes, false);
+  assert.equal(closed.blocked, true);
+  assert.equal(closed.blockedReason, "PR #1 was closed without being merged");
+});
+
+test("a PR that can't be checked is reported and left waiting", async () => {
+  const prd = { userStories: [awaiting("US-001", 7)] };
+  const [change] = await checkAwaitingMerges(prd, fakeHost({}));
+  assert.deepEqual(change, {
+    storyId: "US-001",
+    pullRequest: 7,
+    state: "unknown",
+    error: "no pull request #7",
+  });
+  assert.equal(prd.userStories[0].awaitingMerge, true);
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyError, createOutputParser } from "../lib/output.js";
+
+test("classifyError recognizes each failure class", () => {
+  assert.equal(classifyError("Invalid API key · Please run /login"), "auth");
+  assert.equal(classifyError("API Error: 401 Unauthorized"), "auth");
+  assert.equal(
+    classifyError("Error: HTTP 429 Too Many Requests"),
+    "rate-limit",
+  );
+  assert.equal(classifyError('{"code":429}'), "rate-limit");
+  assert.equal(classifyError("API Error: 529 Overloaded"), "overloaded");
+  assert.equal(classifyError("status code 503"), "overloaded");
+  assert.equal(classifyError("request to api failed: ECONNRESET"), "network");
+  assert.equal(classifyError("TypeError: x is not a function"), "error");
+});
+
+test("classifyError ignores status-like numbers outside a status", () => {
+  assert.equal(classifyError("tokens used: 12,401"), "error");
+  assert.equal(classifyError("Tests: 429 passed, 0 failed"), "error");
+  assert.equal(classifyError("Fixed the bug on line 500"), "error");
+  assert.equal(classifyError("US-401 done"), "error");
+});
+
+function parse(agent, chunks, finish) {
+  const parser = createOutputParser(agent);
+  chunks.forEach((chunk) => parser.push(chunk));
+  return parser.finish(finish);
+}
+
+test("stream-json output becomes events, text and usage", () => {
+  const lines = [
+    {
+      type: "assistant",
+      message: {
+        content: [
+          { type: "text", text: "Looking at the tests" },
+          { type: "tool_use", name: "Bash", input: { command: "npm test" } },
+        ],
+      },
+    },
+    {
+      type: "result",
+      result: "All done",
+      usage: { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 3 },
+      total_cost_usd: 0.25,
+    },
+  ].map((line) => JSON.stringify(line));
+  // Split mid-line, as chunks from a pipe are
+  const raw = `${lines.join("\n")}\n`;
+  const parsed = parse("claude", [raw.slice(0, 40), raw.slice(40)], {
+    exitCode: 0,
+  });
+  assert.equal(parsed.text, "Looking at the tests\n→ Bash: npm test\nAll done");
+  assert.equal(parsed.finalMessage, "All done");
+  assert.deepEqual(parsed.usage, {
+    inputTokens: 15,
+    outputTokens: 3,
+    totalTokens: 18,
+    costUsd: 0.25,
+  });
+  assert.equal(parsed.error, null);
+});
+
+test("a stream-json error result is classified", () => {
+  const raw = JSON.stringify({
+    type: "result",
+    is_error: true,
+    result: "API Error: 429 rate_limit_error",
+  });
+  assert.equal(
+    parse("claude", [raw], { exitCode: 1 }).error.kind,
+    "rate-limit",
+  );
+});
+
+test("stray lines are only scanned for errors when the agent failed", () => {
+  const parser = createOutputParser("claude");
+  parser.pushStderr("Error: rate limit exceeded\n");
+  assert.equal(parser.finish({ exitCode: 0 }).error, null);
+
+  const failed = createOutputParser("claude");
+  failed.pushStderr("Error: rate limit exceeded\n");
+  assert.equal(failed.finish({ exitCode: 1 }).error.kind, "rate-limit");
+});
+
+test("text output reports codex's token count without mistaking it for a status", () => {
+  const raw = "Fixed the 401 handler\ntokens used: 12,401\n";
+  const parsed = parse("codex", [raw], { exitCode: 1 });
+  assert.equal(parsed.usage.totalTokens, 12401);
+  assert.equal(parsed.error, null);
+});
+
+test("a json agent's response text is never scanned for errors", () => {
+  const raw = JSON.stringify({
+    response: "The API returns HTTP 429 when rate limited",
+    stats: {
+      models: {
+        "gemini-pro": { tokens: { prompt: 7, candidates: 2, total: 9 } },
+      },
+    },
+  });
+  const parsed = parse("gemini", [raw], { exitCode: 1 });
+  assert.equal(parsed.error, null);
+  assert.equal(parsed.usage.totalTokens, 9);
+
+  const failed = parse(
+    "gemini",
+    [JSON.stringify({ error: { message: "Quota exceeded" } })],
+    { exitCode: 1 },
+  );
+  assert.equal(failed.error.kind, "rate-limit");
+});
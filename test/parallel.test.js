@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readdirSync } from "fs";
+import { join } from "path";
+import { runParallelLoop } from "../lib/parallel.js";
+import { readRun } from "../lib/runlog.js";
+import {
+  createProject,
+  git,
+  installFakeGh,
+  passingAgent,
+  readJson,
+  registerScriptAgent,
+  story,
+} from "./helpers.js";
+
+test("workers' stories are merged into the current branch", async () => {
+  registerScriptAgent("parallel-agent", passingAgent());
+  const { cwd, prdPath } = createProject([story("US-001"), story("US-002")]);
+  const { status, iterations } = await runParallelLoop({
+    cwd,
+    agent: "parallel-agent",
+    parallel: 2,
+    maxIterations: 2,
+    delayMs: 0,
+  });
+  assert.equal(status, "complete");
+  assert.equal(iterations, 2);
+  assert.ok(readJson(prdPath).userStories.every((s) => s.passes));
+  assert.ok(existsSync(join(cwd, "US-001.txt")));
+  assert.ok(existsSync(join(cwd, "US-002.txt")));
+  assert.equal(git(cwd, ["branch", "--list", "ralph/*"]), "");
+});
+
+test("a worker that fails doesn't take the rest of the round with it", async () => {
+  registerScriptAgent("parallel-agent", passingAgent());
+  // git won't make a worktree branch for this id
+  const { cwd, ralphDir, prdPath } = createProject([
+    story("US-001"),
+    story("US 002..x"),
+  ]);
+  const { status, runId } = await runParallelLoop({
+    cwd,
+    agent: "parallel-agent",
+    parallel: 2,
+    maxIterations: 2,
+    maxAttemptsPerStory: 1,
+    delayMs: 0,
+  });
+  assert.equal(status, "blocked");
+  const [passed, failed] = readJson(prdPath).userStories;
+  assert.equal(passed.passes, true);
+  assert.ok(existsSync(join(cwd, "US-001.txt")));
+  assert.equal(failed.blocked, true);
+
+  const run = readRun(ralphDir, runId);
+  assert.equal(run.exitReason, "blocked");
+  assert.equal(run.current, null);
+  const failedRecord = run.iterations.find((r) => r.storyId === "US 002..x");
+  assert.match(failedRecord.error, /not a valid branch name/);
+  assert.deepEqual(
+    readdirSync(join(ralphDir, "worktrees")).filter((f) => f !== ".gitignore"),
+    [],
+  );
+});
+
+test("with story branches, each worker's story gets its own PR", async () => {
+  const gh = installFakeGh();
+  registerScriptAgent("parallel-agent", passingAgent());
+  const { cwd, prdPath } = createProject([story("US-001"), story("US-002")], {
+    origin: true,
+  });
+  const head = git(cwd, ["rev-parse", "HEAD"]);
+  const { status } = await runParallelLoop({
+    cwd,
+    agent: "parallel-agent",
+    parallel: 2,
+    maxIterations: 2,
+    gitConfig: { provider: "github", createPRs: true },
+    delayMs: 0,
+  });
+  assert.equal(status, "complete");
+  const pullRequests = gh.pullRequests();
+  for (const s of readJson(prdPath).userStories) {
+    assert.equal(s.branch, `${s.id}-${s.id.toLowerCase()}`);
+    assert.equal(s.baseBranch, "main");
+    assert.equal(pullRequests[s.pullRequest].headRefName, s.branch);
+    assert.equal(pullRequests[s.pullRequest].baseRefName, "main");
+    assert.match(
+      git(cwd, ["ls-remote", "--heads", "origin", s.branch]),
+      new RegExp(s.branch),
+    );
+  }
+  // The work is on the story branches, not merged here
+  assert.equal(git(cwd, ["rev-parse", "HEAD"]), head);
+  assert.equal(existsSync(join(cwd, "US-001.txt")), false);
+});
+
+test("with waitForMerge, a worker's dependent story waits for its PR", async () => {
+  const gh = installFakeGh();
+  registerScriptAgent("parallel-agent", passingAgent());
+  const { cwd, prdPath } = createProject(
+    [story("US-001"), story("US-002", { dependsOn: ["US-001"] })],
+    { origin: true },
+  );
+  const merger = setInterval(() => {
+    for (const s of readJson(prdPath).userStories) {
+      if (s.awaitingMerge) gh.setState(s.pullRequest, "MERGED");
+    }
+  }, 100);
+  try {
+    const { status, iterations } = await runParallelLoop({
+      cwd,
+      agent: "parallel-agent",
+      parallel: 2,
+      maxIterations: 3,
+      gitConfig: {
+        provider: "github",
+        createPRs: true,
+        waitForMerge: true,
+        mergePoll: { initialSeconds: 0.2, maxSeconds: 0.2 },
+      },
+      delayMs: 0,
+    });
+    assert.equal(status, "complete");
+    assert.equal(iterations, 2);
+  } finally {
+    clearInterval(merger);
+  }
+  const [parent, child] = readJson(prdPath).userStories;
+  assert.ok(parent.mergedAt);
+  assert.ok(child.mergedAt);
+  assert.equal(child.baseBranch, "main");
+});
@@ -0,0 +1,200 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, writeFileSync } from "fs";
+import { join } from "path";
+import {
+  getReadyStories,
+  getNextStory,
+  isPrdComplete,
+  hasOnlyBlockedStories,
+  recordStoryAttempt,
+  restoreOtherStories,
+  syncActivePrd,
+  activatePrd,
+} from "../lib/prd.js";
+import { makeTempDir, readJson, story } from "./helpers.js";
+
+// A .ralph/ whose active PRD `activePrd` holds `prd`, checked out in sync
+function makeRalphDir(activePrd, prd) {
+  const ralphDir = makeTempDir("ralph-prd-");
+  mkdirSync(join(ralphDir, "prds"));
+  writeFileSync(join(ralphDir, "config.json"), JSON.stringify({ activePrd }));
+  writeFileSync(join(ralphDir, "prd.json"), JSON.stringify(prd));
+  writeFileSync(
+    join(ralphDir, "prds", `${activePrd}.json`),
+    JSON.stringify(prd),
+  );
+  return ralphDir;
+}
+
+test("a PRD with blocked stories isn't complete", () => {
+  const prd = {
+    userStories: [story("US-1", { passes: true }), story("US-2")],
+  };
+  assert.equal(isPrdComplete(prd), false);
+  assert.equal(hasOnlyBlockedStories(prd), false);
+
+  prd.userStories[1].blocked = true;
+  assert.equal(isPrdComplete(prd), false);
+  assert.equal(hasOnlyBlockedStories(prd), true);
+
+  prd.userStories[1].passes = true;
+  assert.equal(isPrdComplete(prd), true);
+  assert.equal(isPrdComplete({ userStories: [] }), false);
+});
+
+test("recordStoryAttempt blocks a story after maxAttempts", () => {
+  const prd = { userStories: [story("US-1", { notes: "tests fail" })] };
+  recordStoryAttempt(prd, "US-1", { maxAttempts: 2, iteration: 1 });
+  assert.equal(prd.userStories[0].attempts, 1);
+  assert.equal(prd.userStories[0].lastFailureNote, "tests fail");
+  assert.equal(prd.userStories[0].blocked, undefined);
+
+  const blocked = recordStoryAttempt(prd, "US-1", {
+    maxAttempts: 2,
+    iteration: 2,
+    failureNote: "timed out",
+  });
+  assert.equal(blocked.blocked, true);
+  assert.equal(blocked.blockedReason, "Gave up after 2 attempts: timed out");
+  assert.equal(
+    recordStoryAttempt(prd, "US-9", { maxAttempts: 2, iteration: 3 }),
+    null,
+  );
+});
+
+test("recordStoryAttempt doesn't record a failure for a passing story", () => {
+  const prd = { userStories: [story("US-1", { passes: true })] };
+  const recorded = recordStoryAttempt(prd, "US-1", {
+    maxAttempts: 1,
+    iteration: 1,
+  });
+  assert.equal(recorded.attempts, 1);
+  assert.equal(recorded.blocked, undefined);
+  assert.equal(recorded.lastFailureNote, undefined);
+});
+
+test("getReadyStories orders by priority, then attempts, then PRD order", () => {
+  const prd = {
+    userStories: [
+      story("US-1", { priority: 2 }),
+      story("US-2", { priority: 1, attempts: 2 }),
+      story("US-3", { priority: 1 }),
+      story("US-4", { priority: 2 }),
+    ],
+  };
+  assert.deepEqual(
+    getReadyStories(prd).map((s) => s.id),
+    ["US-3", "US-2", "US-1", "US-4"],
+  );
+});
+
+test("getReadyStories skips passed, blocked and waiting stories", () => {
+  const prd = {
+    userStories: [
+      story("US-1", { passes: true }),
+      story("US-2", { blocked: true }),
+      story("US-3", { dependsOn: ["US-1"] }),
+      story("US-4", { dependsOn: ["US-2"] }),
+    ],
+  };
+  assert.deepEqual(
+    getReadyStories(prd).map((s) => s.id),
+    ["US-3"],
+  );
+});
+
+test("restoreOtherStories undoes edits to stories other than the assigned one", () => {
+  const before = {
+    userStories: [story("US-1"), story("US-2"), story("US-3")],
+  };
+  const after = {
+    userStories: [
+      story("US-1", { passes: true }),
+      story("US-2", { passes: true }),
+      story("US-4"),
+    ],
+  };
+  const restored = restoreOtherStories(before, after, "US-1");
+  assert.deepEqual(restored.sort(), ["US-2", "US-3", "US-4"]);
+  assert.deepEqual(after.userStories, [
+    story("US-1", { passes: true }),
+    story("US-2"),
+    story("US-3"),
+  ]);
+});
+
+test("restoreOtherStories leaves the PRD alone when only the story changed", () => {
+  const before = { userStories: [story("US-1"), story("US-2")] };
+  const after = {
+    userStories: [story("US-1", { passes: true }), story("US-2")],
+  };
+  assert.deepEqual(restoreOtherStories(before, after, "US-1"), []);
+  assert.equal(after.userStories[0].passes, true);
+});
+
+test("syncActivePrd copies whichever side changed", () => {
+  const prd = { userStories: [story("US-1")] };
+  const ralphDir = makeRalphDir("main", prd);
+  const prdPath = join(ralphDir, "prd.json");
+  const storedPath = join(ralphDir, "prds", "main.json");
+  assert.equal(syncActivePrd(ralphDir).status, "in-sync");
+
+  const worked = { userStories: [story("US-1", { passes: true })] };
+  writeFileSync(prdPath, JSON.stringify(worked));
+  assert.equal(syncActivePrd(ralphDir).status, "saved");
+  assert.deepEqual(readJson(storedPath), worked);
+
+  const edited = { userStories: [...worked.userStories, story("US-2")] };
+  writeFileSync(storedPath, JSON.stringify(edited));
+  assert.equal(syncActivePrd(ralphDir).status, "loaded");
+  assert.deepEqual(readJson(prdPath), edited);
+});
+
+test("syncActivePrd touches neither side when both changed, unless told which to keep", () => {
+  const ralphDir = makeRalphDir("main", { userStories: [story("US-1")] });
+  const prdPath = join(ralphDir, "prd.json");
+  const storedPath = join(ralphDir, "prds", "main.json");
+  syncActivePrd(ralphDir);
+
+  const working = { userStories: [story("US-1", { passes: true })] };
+  const stored = { userStories: [story("US-1"), story("US-2")] };
+  writeFileSync(prdPath, JSON.stringify(working));
+  writeFileSync(storedPath, JSON.stringify(stored));
+  assert.equal(syncActivePrd(ralphDir).status, "conflict");
+  assert.deepEqual(readJson(prdPath), working);
+  assert.deepEqual(readJson(storedPath), stored);
+
+  assert.equal(syncActivePrd(ralphDir, { keep: "stored" }).status, "loaded");
+  assert.deepEqual(readJson(prdPath), stored);
+});
+
+test("activatePrd saves the current PRD's progress before switching", () => {
+  const ralphDir = makeRalphDir("main", { userStories: [story("US-1")] });
+  syncActivePrd(ralphDir);
+  const other = { userStories: [story("OT-1")] };
+  writeFileSync(join(ralphDir, "prds", "other.json"), JSON.stringify(other));
+  const worked = { userStories: [story("US-1", { passes: true })] };
+  writeFileSync(join(ralphDir, "prd.json"), JSON.stringify(worked));
+
+  assert.deepEqual(activatePrd(ralphDir, "other"), {
+    status: "activated",
+    name: "other",
+  });
+  assert.deepEqual(readJson(join(ralphDir, "prds", "main.json")), worked);
+  assert.deepEqual(readJson(join(ralphDir, "prd.json")), other);
+  assert.equal(readJson(join(ralphDir, "config.json")).activePrd, "other");
+  assert.throws(() => activatePrd(ralphDir, "missing"), /PRD not found/);
+});
+
+test("a dependency awaiting its merge holds back its dependents", () => {
+  const prd = {
+    userStories: [
+      story("US-1", { passes: true, awaitingMerge: true }),
+      story("US-2", { dependsOn: ["US-1"] }),
+    ],
+  };
+  assert.equal(getNextStory(prd), null);
+  prd.userStories[0].awaitingMerge = false;
+  assert.equal(getNextStory(prd).id, "US-2");
+});
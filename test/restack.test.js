@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFileSync } from "child_process";
+import { writeFileSync } from "fs";
+import { join } from "path";
+import { restackStories } from "../lib/restack.js";
+import { createProject, git, installFakeGh, story } from "./helpers.js";
+
+const gh = installFakeGh();
+
+function commitFile(cwd, file, contents) {
+  writeFileSync(join(cwd, file), contents);
+  git(cwd, ["add", file]);
+  git(cwd, ["commit", "-q", "-m", `Write ${file}`]);
+}
+
+function openPullRequest(cwd, head, base) {
+  const url = execFileSync(
+    "gh",
+    ["pr", "create", "--head", head, "--base", base],
+    {
+      cwd,
+      encoding: "utf-8",
+    },
+  );
+  return parseInt(url.split("/").pop());
+}
+
+// US-002 is stacked on US-001, and US-001's PR was squash-merged into main
+function createMergedStack({ conflicting = false } = {}) {
+  const { cwd } = createProject([], { origin: true });
+  git(cwd, ["checkout", "-q", "-b", "US-001-parent"]);
+  commitFile(cwd, "parent.txt", "parent\n");
+  git(cwd, ["checkout", "-q", "-b", "US-002-child"]);
+  commitFile(cwd, "child.txt", "child\n");
+  git(cwd, ["push", "-q", "origin", "US-001-parent", "US-002-child"]);
+  const prd = {
+    userStories: [
+      story("US-001", {
+        passes: true,
+        branch: "US-001-parent",
+        baseBranch: "main",
+        pullRequest: openPullRequest(cwd, "US-001-parent", "main"),
+      }),
+      story("US-002", {
+        passes: true,
+        branch: "US-002-child",
+        baseBranch: "US-001-parent",
+        pullRequest: openPullRequest(cwd, "US-002-child", "US-001-parent"),
+      }),
+    ],
+  };
+
+  git(cwd, ["checkout", "-q", "main"]);
+  git(cwd, ["merge", "-q", "--squash", "US-001-parent"]);
+  git(cwd, ["commit", "-q", "-m", "US-001 (squashed)"]);
+  if (conflicting) commitFile(cwd, "child.txt", "main's version\n");
+  git(cwd, ["push", "-q", "origin", "main"]);
+  gh.setState(prd.userStories[0].pullRequest, "MERGED");
+  return { cwd, prd };
+}
+
+test("a story stacked on a merged PR moves onto what that merged into", () => {
+  const { cwd, prd } = createMergedStack();
+  const [parent, child] = prd.userStories;
+  const results = restackStories(cwd, prd);
+
+  assert.deepEqual(results, [
+    {
+      storyId: "US-002",
+      branch: "US-002-child",
+      from: "US-001-parent",
+      to: "main",
+      status: "restacked",
+    },
+  ]);
+  assert.equal(child.baseBranch, "main");
+  assert.ok(parent.mergedAt);
+  assert.equal(gh.pullRequests()[child.pullRequest].baseRefName, "main");
+  // Only the child's own commit was replayed onto the squash merge
+  assert.equal(
+    git(cwd, ["log", "--format=%s", "origin/main..origin/US-002-child"]),
+    "Write child.txt",
+  );
+  assert.equal(git(cwd, ["branch", "--show-current"]), "main");
+});
+
+test("a restack that conflicts leaves the branch and its PR alone", () => {
+  const { cwd, prd } = createMergedStack({ conflicting: true });
+  const child = prd.userStories[1];
+  const tipBefore = git(cwd, ["rev-parse", "US-002-child"]);
+  const [result] = restackStories(cwd, prd);
+
+  assert.equal(result.status, "conflict");
+  assert.match(result.error, /conflict/i);
+  assert.equal(child.baseBranch, "US-001-parent");
+  assert.equal(git(cwd, ["rev-parse", "US-002-child"]), tipBefore);
+  assert.equal(
+    gh.pullRequests()[child.pullRequest].baseRefName,
+    "US-001-parent",
+  );
+  assert.equal(git(cwd, ["status", "--porcelain"]), "");
+});
+
+test("nothing is restacked while the parent PR is still open", () => {
+  const { cwd, prd } = createMergedStack();
+  gh.setState(prd.userStories[0].pullRequest, "OPEN");
+  assert.deepEqual(restackStories(cwd, prd), []);
+  assert.equal(prd.userStories[1].baseBranch, "US-001-parent");
+});
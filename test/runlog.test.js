@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { mkdirSync, writeFileSync } from "fs";
+import { hostname } from "os";
+import { dirname } from "path";
+import { createRun, finishRun, followRun } from "../lib/runlog.js";
+import { getLockPath } from "../lib/state.js";
+import { makeTempDir } from "./helpers.js";
+
+function holdLock(ralphDir, pid) {
+  mkdirSync(dirname(getLockPath(ralphDir)), { recursive: true });
+  const now = new Date().toISOString();
+  writeFileSync(
+    getLockPath(ralphDir),
+    JSON.stringify({
+      pid,
+      host: hostname(),
+      command: "loop",
+      startedAt: now,
+      heartbeatAt: now,
+    }),
+  );
+}
+
+const quietly = { onIteration() {}, onChunk() {}, intervalMs: 50 };
+
+test("followRun stops at a run whose loop is gone", async () => {
+  const ralphDir = makeTempDir();
+  const run = createRun(ralphDir, { agent: "claude", maxIterations: 3 });
+  const followed = await followRun(ralphDir, run.id, quietly);
+  assert.equal(followed.status, "running");
+  assert.equal(followed.interrupted, true);
+});
+
+test("followRun waits for a live loop to finish its run", async () => {
+  const ralphDir = makeTempDir();
+  const run = createRun(ralphDir, { agent: "claude", maxIterations: 3 });
+  const loop = spawn(process.execPath, ["-e", "setTimeout(() => {}, 60000)"]);
+  holdLock(ralphDir, loop.pid);
+  const finisher = setTimeout(() => finishRun(ralphDir, run, "complete"), 300);
+  try {
+    const followed = await followRun(ralphDir, run.id, quietly);
+    assert.equal(followed.exitReason, "complete");
+    assert.equal(followed.interrupted, undefined);
+  } finally {
+    clearTimeout(finisher);
+    loop.kill();
+  }
+});
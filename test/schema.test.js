@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  validate,
+  validatePrd,
+  validateConfig,
+  loadSchema,
+} from "../lib/schema.js";
+
+test("validatePrd accepts a well-formed PRD", () => {
+  const prd = {
+    project: "demo",
+    userStories: [
+      {
+        id: "US-001",
+        title: "Log in",
+        acceptanceCriteria: ["Form submits"],
+        priority: 1,
+        passes: false,
+      },
+    ],
+  };
+  assert.deepEqual(validatePrd(prd), []);
+});
+
+test("validatePrd says where a PRD is wrong", () => {
+  const prd = {
+    userStories: [
+      { id: "US-001", title: "", acceptanceCriteria: [], passes: "no" },
+      { id: "US-001", title: "Again", acceptanceCriteria: [], passes: true },
+      { id: "US-002", acceptanceCriteria: [], passes: false, priority: "1" },
+    ],
+  };
+  assert.deepEqual(validatePrd(prd), [
+    "userStories[0].title: must not be empty",
+    "userStories[0].passes: expected boolean, got string",
+    "userStories[2].title: missing",
+    "userStories[2].priority: expected integer, got string",
+    "Duplicate story id US-001",
+  ]);
+  assert.deepEqual(validatePrd([]), ["(root): expected object, got array"]);
+});
+
+test("validateConfig checks types and minimums", () => {
+  assert.deepEqual(validateConfig({ agent: "claude", maxIterations: 10 }), []);
+  assert.deepEqual(validateConfig({ maxIterations: 0 }), [
+    "maxIterations: must be at least 1",
+  ]);
+  assert.ok(loadSchema("config") === loadSchema("config"));
+});
+
+test("validate follows local $refs, anyOf and additionalProperties", () => {
+  const schema = {
+    $defs: { id: { type: "string", minLength: 1 } },
+    type: "object",
+    properties: {
+      ids: { type: "array", items: { $ref: "#/$defs/id" }, uniqueItems: true },
+      limit: { anyOf: [{ type: "integer", minimum: 1 }, { enum: ["none"] }] },
+    },
+    additionalProperties: false,
+  };
+  assert.deepEqual(validate({ ids: ["a"], limit: "none" }, schema), []);
+  assert.deepEqual(validate({ ids: ["a", "a", ""], limit: 0, x: 1 }, schema), [
+    "ids[2]: must not be empty",
+    "ids: must not contain duplicates",
+    "limit: must be at least 1",
+    "x: unknown property",
+  ]);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { mkdirSync, writeFileSync, existsSync, readdirSync } from "fs";
+import { hostname } from "os";
+import { join, dirname } from "path";
+import {
+  acquireLock,
+  getLockHolder,
+  getLockPath,
+  readLock,
+  writeJsonAtomic,
+  LOCK_STALE_MS,
+} from "../lib/state.js";
+import { makeTempDir } from "./helpers.js";
+
+function makeRalphDir() {
+  return makeTempDir("ralph-state-");
+}
+
+function writeLock(ralphDir, holder) {
+  mkdirSync(dirname(getLockPath(ralphDir)), { recursive: true });
+  writeFileSync(getLockPath(ralphDir), JSON.stringify(holder));
+}
+
+// The pid of a process that has already exited
+function deadPid() {
+  return spawnSync(process.execPath, ["-e", ""]).pid;
+}
+
+test("acquireLock is re-entrant and releases on the last release", () => {
+  const ralphDir = makeRalphDir();
+  const release = acquireLock(ralphDir, "run");
+  assert.equal(readLock(ralphDir).pid, process.pid);
+  assert.equal(getLockHolder(ralphDir), null);
+  assert.ok(existsSync(join(dirname(getLockPath(ralphDir)), ".gitignore")));
+
+  const releaseInner = acquireLock(ralphDir, "gh sync");
+  releaseInner();
+  releaseInner();
+  assert.equal(readLock(ralphDir).command, "run");
+  release();
+  assert.equal(readLock(ralphDir), null);
+});
+
+test("acquireLock refuses a lock held by a live process", () => {
+  const ralphDir = makeRalphDir();
+  const holder = {
+    pid: process.ppid,
+    host: hostname(),
+    command: "run",
+    startedAt: new Date().toISOString(),
+  };
+  writeLock(ralphDir, holder);
+  assert.throws(() => acquireLock(ralphDir, "run"), /Another ralph is using/);
+  assert.deepEqual(getLockHolder(ralphDir), holder);
+  assert.deepEqual(readLock(ralphDir), holder);
+});
+
+test("acquireLock takes over a lock whose process died", () => {
+  const ralphDir = makeRalphDir();
+  writeLock(ralphDir, {
+    pid: deadPid(),
+    host: hostname(),
+    command: "run",
+    startedAt: new Date().toISOString(),
+  });
+  assert.equal(getLockHolder(ralphDir), null);
+  const release = acquireLock(ralphDir, "run");
+  assert.equal(readLock(ralphDir).pid, process.pid);
+  release();
+  // Nothing left over from moving the stale lock aside
+  assert.deepEqual(readdirSync(dirname(getLockPath(ralphDir))), [".gitignore"]);
+});
+
+test("another machine's lock holds until its heartbeat stops", () => {
+  const ralphDir = makeRalphDir();
+  const holder = {
+    pid: process.pid,
+    host: `not-${hostname()}`,
+    command: "loop",
+    startedAt: new Date(Date.now() - 2 * LOCK_STALE_MS).toISOString(),
+    heartbeatAt: new Date().toISOString(),
+  };
+  writeLock(ralphDir, holder);
+  assert.throws(() => acquireLock(ralphDir, "run"), /from its last heartbeat/);
+
+  writeJsonAtomic(getLockPath(ralphDir), {
+    ...holder,
+    heartbeatAt: new Date(Date.now() - LOCK_STALE_MS - 1000).toISOString(),
+  });
+  const release = acquireLock(ralphDir, "run");
+  assert.equal(readLock(ralphDir).host, hostname());
+  release();
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  emptyUsage,
+  addUsage,
+  checkBudget,
+  formatUsage,
+} from "../lib/usage.js";
+
+test("addUsage sums records, counting a missing cost as 0", () => {
+  let total = addUsage(emptyUsage(), {
+    inputTokens: 10,
+    outputTokens: 5,
+    totalTokens: 15,
+    costUsd: 0.5,
+  });
+  total = addUsage(total, { totalTokens: 100, costUsd: null });
+  total = addUsage(total, null);
+  assert.deepEqual(total, {
+    inputTokens: 10,
+    outputTokens: 5,
+    totalTokens: 115,
+    costUsd: 0.5,
+  });
+});
+
+test("checkBudget reports the first limit reached", () => {
+  const usage = { ...emptyUsage(), totalTokens: 1000, costUsd: 2 };
+  assert.equal(checkBudget(usage, {}), null);
+  assert.equal(checkBudget(usage, { maxTokens: 2000, maxUsd: 5 }), null);
+  assert.match(checkBudget(usage, { maxTokens: 1000 }), /^token budget/);
+  assert.match(checkBudget(usage, { maxUsd: 1.5 }), /^cost budget/);
+  assert.equal(checkBudget(null, { maxTokens: 1 }), null);
+});
+
+test("formatUsage leaves out a cost that wasn't reported", () => {
+  assert.equal(
+    formatUsage({ ...emptyUsage(), totalTokens: 1200 }),
+    "1,200 tokens",
+  );
+  assert.equal(
+    formatUsage({ ...emptyUsage(), totalTokens: 5, costUsd: 0.5 }),
+    "5 tokens, $0.50",
+  );
+  assert.equal(formatUsage(null), "no usage reported");
+});